@@ -4,13 +4,64 @@
  */
 
 const swaggerJsdoc = require('swagger-jsdoc');
+const { FORMATS } = require('../lib/formats');
+const { DATA_SCHEMAS } = require('../lib/dataValidation');
+const { API_VERSIONS, CURRENT_VERSION } = require('../lib/versions');
+const { TIERS, KEY_TIERS } = require('../lib/apiKeys');
+const { ACTIONS } = require('../lib/changeLog');
+
+// ==================== RECORD SCHEMAS ====================
+
+/**
+ * Build the response schema of a collection from the JSON Schema of its
+ * data file (data/schemas), so the docs and the validated data agree
+ * @param {string} collection - Collection name
+ * @param {Object} [changes]
+ * @param {Object} [changes.replace] - Properties whose response form differs from the data file
+ * @param {Object} [changes.after] - Properties the API adds, keyed by the field they follow
+ * @returns {Object} OpenAPI schema
+ */
+const responseSchema = (collection, { replace = {}, after = {} } = {}) => {
+    const properties = {};
+
+    Object.entries(DATA_SCHEMAS[collection].properties).forEach(([name, property]) => {
+        properties[name] = replace[name] || (property['x-translatable'] ? translatedProperty(property) : property);
+        Object.assign(properties, after[name]);
+    });
+
+    return { type: 'object', properties };
+};
+
+// Translations do not follow the English patterns of the data files
+const translatedProperty = ({ pattern, ...property }) => ({
+    ...property,
+    description: `${property.description} (translated, see Localization)`
+});
+
+const slugProperty = (example) => ({
+    type: 'string',
+    description: 'Unique, human-readable identifier; can be used in place of the ID',
+    example
+});
+
+const imageProperty = (what) => ({
+    allOf: [{ $ref: '#/components/schemas/Image' }],
+    nullable: true,
+    description: `${what} with its dimensions, dominant colour and blurhash (null without an image)`
+});
+
+const FIRST_APPEARANCE_PROPERTY = {
+    allOf: [{ $ref: '#/components/schemas/Episode' }],
+    nullable: true,
+    description: 'Episode of the first appearance (null if it cannot be resolved)'
+};
 
 const options = {
     definition: {
         openapi: '3.0.0',
         info: {
             title: 'Stranger Things API',
-            version: '1.0.0',
+            version: API_VERSIONS[CURRENT_VERSION].version,
             description: `
 # 🔦 Welcome to the Stranger Things API
 
@@ -23,13 +74,45 @@ A **free, open-source RESTful API** providing comprehensive data about the Stran
 - 📄 **Pagination**: Efficient data retrieval with built-in pagination
 - ⚡ **Fast & Reliable**: Optimized responses with compression
 
+## Filtering
+List endpoints accept \`field=value\` (case-insensitive substring match for text, exact match for numbers)
+and typed operators in the form \`field[operator]=value\`:
+
+| Field type | Operators |
+|------------|-----------|
+| Number (\`age\`, \`season\`, \`duration_minutes\`) | eq, ne, gt, gte, lt, lte, between, in |
+| Date (\`air_date\`, \`birthdate\`) | eq, ne, gt, gte, lt, lte, between, contains |
+| Text (\`name\`, \`status\`) | eq, ne, contains, in |
+| Creature \`threat_level\` | eq, ne, gt, gte, lt, lte, between, contains, in |
+| List (\`seasons\`, \`powers\`) | contains, any, all |
+
+Examples: \`age[gte]=15\`, \`air_date[between]=2016-01-01,2017-12-31\`, \`status[eq]=Alive\`, \`seasons[all]=1,4\`.
+Text \`contains\` ignores case; \`eq\`, \`ne\`, \`in\`, \`any\` and \`all\` compare text exactly.
+Unsupported operators or invalid values return **400**.
+
+## Versioning
+Paths below are served by the current version. Pin a version with the path prefix
+(\`/api/v1/characters\`) or an Accept parameter (\`Accept: application/json; version=1\`);
+\`GET /api\` lists the supported versions. Deprecated versions answer with
+\`Deprecation\`, \`Sunset\` and \`Link: <...>; rel="successor-version"\` headers,
+and **410** after their sunset date.
+
+## Localization
+\`description\`, \`synopsis\`, \`significance\`, \`context\`, \`status\` and location \`type\` are translated.
+Pick the language with \`?lang=es\` or \`Accept-Language: es\`; untranslated fields fall back to English,
+and \`Content-Language\` names the language of the response. \`/api/search\` searches the translated text.
+Filters and sorting compare the values in the language of the response (\`?lang=es&status=Viva\`).
+
 ## Rate Limiting
-- **General**: 100 requests per 15 minutes
-- **Random Endpoints**: 30 requests per minute
-- **Heavy Usage**: 1000 requests per hour
+Requests are counted per IP, or per key when an \`X-API-Key\` header is sent:
+
+| Tier | General (15 min) | Random (1 min) | Heavy Usage (1 hour) | Suggestions (1 min) |
+|------|------------------|----------------|----------------------|---------------------|
+${Object.entries(TIERS).map(([tier, limits]) => `| ${tier} | ${limits.general} | ${limits.random} | ${limits.heavy} | ${limits.suggest} |`).join('\n')}
 
 ## Getting Started
 All endpoints are accessible without authentication. Simply make GET requests to the endpoints listed below.
+API keys are optional and only raise rate limits; an unknown or revoked key is rejected with **401**.
 
 ---
 *Developed by [Jose Alvarez Dev](https://github.com/JoseAlvarezDev)*
@@ -79,305 +162,383 @@ All endpoints are accessible without authentication. Simply make GET requests to
             {
                 name: 'Utility',
                 description: 'Utility endpoints for API info and statistics'
+            },
+            {
+                name: 'Admin',
+                description: 'API key, webhook and dataset management (requires the admin key)'
             }
         ],
         components: {
             schemas: {
-                Character: {
+                Character: responseSchema('characters', {
+                    replace: {
+                        slug: slugProperty('jim-hopper'),
+                        quotes: {
+                            oneOf: [
+                                { type: 'array', items: { type: 'string' } },
+                                { type: 'array', items: { $ref: '#/components/schemas/Quote' } }
+                            ],
+                            description: 'Notable quotes from the character; Quote objects with `expand=quotes`'
+                        },
+                        first_appearance: FIRST_APPEARANCE_PROPERTY
+                    },
+                    after: {
+                        portrait_path: { portrait: imageProperty('Character portrait') }
+                    }
+                }),
+                Creature: responseSchema('creatures', {
+                    replace: {
+                        slug: slugProperty('demogorgon'),
+                        first_appearance: FIRST_APPEARANCE_PROPERTY,
+                        related_species: {
+                            oneOf: [
+                                { type: 'array', items: { type: 'string' } },
+                                { type: 'array', items: { $ref: '#/components/schemas/Creature' } }
+                            ],
+                            description: 'Names of related creatures; Creature objects with `expand=related_species`',
+                            example: ['Demo-dogs', 'Pollywog']
+                        }
+                    },
+                    after: {
+                        image_path: { image: imageProperty('Creature image') }
+                    }
+                }),
+                Episode: responseSchema('episodes', {
+                    replace: {
+                        slug: slugProperty('s1e1')
+                    },
+                    after: {
+                        image_path: { image: imageProperty('Episode still') }
+                    }
+                }),
+                Location: responseSchema('locations', {
+                    replace: {
+                        slug: slugProperty('hawkins-indiana'),
+                        first_appearance: FIRST_APPEARANCE_PROPERTY
+                    },
+                    after: {
+                        image_path: { image: imageProperty('Location image') }
+                    }
+                }),
+                Quote: responseSchema('quotes', {
+                    replace: {
+                        slug: slugProperty('friends-dont-lie'),
+                        character: {
+                            oneOf: [
+                                { type: 'string' },
+                                { $ref: '#/components/schemas/Character' }
+                            ],
+                            description: 'Character who said the quote; a Character object with `expand=character`',
+                            example: 'Eleven'
+                        }
+                    }
+                }),
+                Image: {
                     type: 'object',
+                    description: 'An image and what clients need to lay it out before it loads',
                     properties: {
-                        id: {
-                            type: 'integer',
-                            description: 'Unique identifier',
-                            example: 1
-                        },
-                        name: {
-                            type: 'string',
-                            description: 'Character name',
-                            example: 'Eleven'
-                        },
-                        real_name: {
-                            type: 'string',
-                            description: 'Character\'s real name',
-                            example: 'Jane Hopper'
-                        },
-                        nickname: {
+                        path: {
                             type: 'string',
-                            description: 'Character nickname',
-                            example: 'El'
+                            description: 'URL path to the image (same as the *_path field)',
+                            example: '/images/characters/eleven.webp'
                         },
-                        age: {
+                        width: {
                             type: 'integer',
-                            description: 'Character age',
-                            example: 15
+                            nullable: true,
+                            description: 'Width in pixels (null if the file is missing)',
+                            example: 296
                         },
-                        gender: {
-                            type: 'string',
-                            enum: ['Male', 'Female', 'Unknown'],
-                            example: 'Female'
+                        height: {
+                            type: 'integer',
+                            nullable: true,
+                            description: 'Height in pixels (null if the file is missing)',
+                            example: 388
                         },
-                        occupation: {
+                        blurhash: {
                             type: 'string',
-                            description: 'Character occupation',
-                            example: 'Student'
+                            nullable: true,
+                            description: 'BlurHash placeholder (https://blurha.sh)',
+                            example: 'LEHV6nWB2yk8pyo0adR*.7kCMdnj'
                         },
-                        portrayed_by: {
+                        color: {
                             type: 'string',
-                            description: 'Actor who portrays the character',
-                            example: 'Millie Bobby Brown'
+                            nullable: true,
+                            description: 'Dominant colour as a hex code',
+                            example: '#3a2f2b'
+                        }
+                    }
+                },
+                PaginatedResponse: {
+                    type: 'object',
+                    properties: {
+                        info: {
+                            type: 'object',
+                            properties: {
+                                count: {
+                                    type: 'integer',
+                                    description: 'Total number of items'
+                                },
+                                pages: {
+                                    type: 'integer',
+                                    description: 'Total number of pages'
+                                },
+                                current_page: {
+                                    type: 'integer',
+                                    description: 'Current page number'
+                                },
+                                per_page: {
+                                    type: 'integer',
+                                    description: 'Items per page'
+                                },
+                                next: {
+                                    type: 'integer',
+                                    nullable: true,
+                                    description: 'Next page number'
+                                },
+                                prev: {
+                                    type: 'integer',
+                                    nullable: true,
+                                    description: 'Previous page number'
+                                },
+                                next_cursor: {
+                                    type: 'string',
+                                    nullable: true,
+                                    description: 'Cursor for the next page (cursor mode only; replaces pages, current_page, next and prev)'
+                                },
+                                prev_cursor: {
+                                    type: 'string',
+                                    nullable: true,
+                                    description: 'Cursor for the previous page (cursor mode only)'
+                                },
+                                links: {
+                                    type: 'object',
+                                    description: 'Absolute URLs of the neighbouring pages, keeping every other query parameter',
+                                    properties: {
+                                        first: { type: 'string', format: 'uri' },
+                                        prev: { type: 'string', format: 'uri', nullable: true },
+                                        next: { type: 'string', format: 'uri', nullable: true },
+                                        last: { type: 'string', format: 'uri' }
+                                    }
+                                }
+                            }
                         },
-                        powers: {
+                        results: {
                             type: 'array',
-                            items: { type: 'string' },
-                            description: 'List of powers/abilities',
-                            example: ['Telekinesis', 'Remote Viewing']
-                        },
-                        status: {
+                            description: 'Array of results'
+                        }
+                    }
+                },
+                Error: {
+                    type: 'object',
+                    properties: {
+                        error: {
                             type: 'string',
-                            enum: ['Alive', 'Deceased', 'Unknown'],
-                            example: 'Alive'
+                            description: 'Error type'
                         },
-                        portrait_path: {
+                        message: {
                             type: 'string',
-                            description: 'URL path to character portrait',
-                            example: '/images/characters/eleven.webp'
-                        },
-                        quotes: {
-                            type: 'array',
-                            items: { type: 'string' },
-                            description: 'Notable quotes from the character'
+                            description: 'Error message'
                         },
-                        seasons: {
-                            type: 'array',
-                            items: { type: 'integer' },
-                            description: 'Seasons the character appears in',
-                            example: [1, 2, 3, 4]
+                        code: {
+                            type: 'integer',
+                            description: 'HTTP status code'
                         }
                     }
                 },
-                Creature: {
+                ApiKey: {
                     type: 'object',
                     properties: {
                         id: {
-                            type: 'integer',
-                            description: 'Unique identifier',
-                            example: 1
-                        },
-                        name: {
                             type: 'string',
-                            description: 'Creature name',
-                            example: 'Demogorgon'
+                            example: 'key_3f9a1c0b7d2e'
                         },
-                        origin: {
+                        owner: {
                             type: 'string',
-                            description: 'Creature origin',
-                            example: 'The Upside Down'
+                            example: 'hawkins-lab-dashboard'
                         },
-                        description: {
+                        tier: {
                             type: 'string',
-                            description: 'Detailed description of the creature'
+                            enum: KEY_TIERS,
+                            example: 'free'
                         },
-                        abilities: {
-                            type: 'array',
-                            items: { type: 'string' },
-                            description: 'Creature abilities'
+                        status: {
+                            type: 'string',
+                            enum: ['active', 'revoked']
                         },
-                        weaknesses: {
-                            type: 'array',
-                            items: { type: 'string' },
-                            description: 'Creature weaknesses'
+                        key_prefix: {
+                            type: 'string',
+                            description: 'First characters of the key, to tell keys apart',
+                            example: 'stk_Q2xhcmtl'
                         },
-                        threat_level: {
+                        created_at: {
                             type: 'string',
-                            enum: ['Low', 'Medium', 'High', 'Extreme'],
-                            example: 'Extreme'
+                            format: 'date-time'
                         },
-                        status: {
+                        rotated_at: {
                             type: 'string',
-                            enum: ['Active', 'Defeated', 'Unknown'],
-                            example: 'Defeated'
+                            format: 'date-time',
+                            nullable: true
                         },
-                        image_path: {
+                        revoked_at: {
                             type: 'string',
-                            description: 'URL path to creature image'
+                            format: 'date-time',
+                            nullable: true
                         }
                     }
                 },
-                Episode: {
+                Change: {
                     type: 'object',
                     properties: {
-                        id: {
+                        sequence: {
                             type: 'integer',
-                            description: 'Unique identifier',
-                            example: 1
+                            description: 'Position in the change log; only grows',
+                            example: 42
                         },
-                        title: {
+                        timestamp: {
                             type: 'string',
-                            description: 'Episode title',
-                            example: 'Chapter One: The Vanishing of Will Byers'
+                            format: 'date-time',
+                            description: 'When the change was picked up'
                         },
-                        season: {
-                            type: 'integer',
-                            description: 'Season number',
-                            example: 1
-                        },
-                        episode: {
-                            type: 'integer',
-                            description: 'Episode number within season',
-                            example: 1
-                        },
-                        air_date: {
+                        dataset_version: {
                             type: 'string',
-                            format: 'date',
-                            description: 'Original air date',
-                            example: '2016-07-15'
+                            description: 'Dataset version the change produced',
+                            example: '3f9a1c0b7d2e'
                         },
-                        synopsis: {
+                        action: {
                             type: 'string',
-                            description: 'Episode synopsis'
+                            enum: ACTIONS
                         },
-                        directed_by: {
+                        collection: {
                             type: 'string',
-                            description: 'Episode director',
-                            example: 'The Duffer Brothers'
+                            example: 'characters'
                         },
-                        written_by: {
-                            type: 'string',
-                            description: 'Episode writer(s)'
+                        id: {
+                            type: 'integer',
+                            example: 6
                         },
-                        duration: {
+                        changes: {
+                            type: 'object',
+                            description: 'Changed fields; null stands for an absent field (all `from` for created records, all `to` for deleted ones)',
+                            additionalProperties: {
+                                type: 'object',
+                                properties: {
+                                    from: { nullable: true },
+                                    to: { nullable: true }
+                                }
+                            },
+                            example: { status: { from: 'Alive', to: 'Deceased' } }
+                        }
+                    }
+                },
+                StoredRecord: {
+                    description: 'A record as stored in data/{collection}.json, following the schema of its collection (without id when sent)',
+                    oneOf: Object.values(DATA_SCHEMAS).map(({ $schema, $id, ...schema }) => schema)
+                },
+                IssuedApiKey: {
+                    type: 'object',
+                    properties: {
+                        key: {
                             type: 'string',
-                            description: 'Episode duration',
-                            example: '48 min'
+                            description: 'The API key. It is only shown in this response.',
+                            example: 'stk_Q2xhcmtlU2F5c0hpVG9FbGV2ZW4xMjM0'
+                        },
+                        data: {
+                            $ref: '#/components/schemas/ApiKey'
                         }
                     }
                 },
-                Location: {
+                Webhook: {
                     type: 'object',
                     properties: {
                         id: {
-                            type: 'integer',
-                            description: 'Unique identifier',
-                            example: 1
-                        },
-                        name: {
                             type: 'string',
-                            description: 'Location name',
-                            example: 'Hawkins National Laboratory'
+                            example: 'wh_8b1d4e0f2a6c'
                         },
-                        type: {
+                        url: {
                             type: 'string',
-                            description: 'Type of location',
-                            example: 'Government Facility'
+                            format: 'uri',
+                            example: 'https://hawkins-lab.example/hooks/stranger-things'
+                        },
+                        events: {
+                            type: 'array',
+                            description: '`<singular>.<action>` event types, such as `character.updated`, or `*` for all',
+                            items: {
+                                type: 'string'
+                            },
+                            example: ['character.updated', 'quote.created']
                         },
                         description: {
                             type: 'string',
-                            description: 'Location description'
+                            nullable: true
                         },
-                        status: {
+                        created_at: {
                             type: 'string',
-                            enum: ['Active', 'Destroyed', 'Abandoned', 'Unknown'],
-                            example: 'Abandoned'
+                            format: 'date-time'
                         },
-                        first_appearance: {
-                            type: 'string',
-                            description: 'First episode appearance'
+                        last_delivery: {
+                            type: 'object',
+                            nullable: true,
+                            properties: {
+                                id: { type: 'string' },
+                                event: { type: 'string' },
+                                status: { type: 'string', enum: ['pending', 'succeeded', 'failed'] },
+                                created_at: { type: 'string', format: 'date-time' }
+                            }
                         }
                     }
                 },
-                Quote: {
+                WebhookDelivery: {
                     type: 'object',
                     properties: {
                         id: {
-                            type: 'integer',
-                            description: 'Unique identifier',
-                            example: 1
-                        },
-                        quote: {
                             type: 'string',
-                            description: 'The quote text',
-                            example: 'Friends don\'t lie.'
+                            description: 'Sent in X-Webhook-Delivery',
+                            example: 'dlv_5f0c2a9be41d7c38'
                         },
-                        character: {
+                        event: {
                             type: 'string',
-                            description: 'Character who said the quote',
-                            example: 'Eleven'
+                            example: 'character.updated'
                         },
-                        character_id: {
-                            type: 'integer',
-                            description: 'ID of the character',
-                            example: 1
-                        },
-                        season: {
-                            type: 'integer',
-                            description: 'Season the quote is from',
-                            example: 1
-                        },
-                        episode: {
-                            type: 'integer',
-                            description: 'Episode number',
-                            example: 3
+                        replay_of: {
+                            type: 'string',
+                            description: 'Delivery this one replays (replays only)'
                         },
-                        context: {
+                        status: {
                             type: 'string',
-                            description: 'Context of the quote'
-                        }
-                    }
-                },
-                PaginatedResponse: {
-                    type: 'object',
-                    properties: {
-                        info: {
-                            type: 'object',
-                            properties: {
-                                count: {
-                                    type: 'integer',
-                                    description: 'Total number of items'
-                                },
-                                pages: {
-                                    type: 'integer',
-                                    description: 'Total number of pages'
-                                },
-                                current_page: {
-                                    type: 'integer',
-                                    description: 'Current page number'
-                                },
-                                per_page: {
-                                    type: 'integer',
-                                    description: 'Items per page'
-                                },
-                                next: {
-                                    type: 'integer',
-                                    nullable: true,
-                                    description: 'Next page number'
-                                },
-                                prev: {
-                                    type: 'integer',
-                                    nullable: true,
-                                    description: 'Previous page number'
-                                }
-                            }
+                            enum: ['pending', 'succeeded', 'failed']
                         },
-                        results: {
-                            type: 'array',
-                            description: 'Array of results'
-                        }
-                    }
-                },
-                Error: {
-                    type: 'object',
-                    properties: {
-                        error: {
+                        created_at: {
                             type: 'string',
-                            description: 'Error type'
+                            format: 'date-time'
                         },
-                        message: {
+                        next_attempt_at: {
                             type: 'string',
-                            description: 'Error message'
+                            format: 'date-time',
+                            nullable: true,
+                            description: 'When the next attempt is due; null once the delivery succeeded or failed'
                         },
-                        code: {
-                            type: 'integer',
-                            description: 'HTTP status code'
+                        attempts: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    at: { type: 'string', format: 'date-time' },
+                                    status_code: { type: 'integer', description: 'Status the receiver answered with' },
+                                    response_body: { type: 'string', description: 'Start of the response body' },
+                                    error: { type: 'string', description: 'Network error or timeout, when there was no response' },
+                                    duration_ms: { type: 'integer' }
+                                }
+                            }
+                        },
+                        payload: {
+                            type: 'object',
+                            description: 'The JSON body POSTed to the URL; `data` is the change log entry plus the URL of the record',
+                            properties: {
+                                id: { type: 'string', example: 'evt_42' },
+                                type: { type: 'string', example: 'character.updated' },
+                                created_at: { type: 'string', format: 'date-time' },
+                                data: { type: 'object' }
+                            }
                         }
                     }
                 },
@@ -432,6 +593,73 @@ All endpoints are accessible without authentication. Simply make GET requests to
                         version: {
                             type: 'string',
                             example: '1.0.0'
+                        },
+                        data: {
+                            type: 'object',
+                            description: 'State of the in-memory dataset',
+                            properties: {
+                                version: {
+                                    type: 'string',
+                                    description: 'Content hash of the loaded data files',
+                                    example: '3f9a1c0b2d4e'
+                                },
+                                loaded_at: {
+                                    type: 'string',
+                                    format: 'date-time',
+                                    description: 'When the current snapshot was loaded'
+                                },
+                                last_modified: {
+                                    type: 'string',
+                                    format: 'date-time',
+                                    description: 'Latest modification time of the data files (sent as Last-Modified)'
+                                },
+                                watching: {
+                                    type: 'boolean',
+                                    description: 'Whether data files are watched for changes'
+                                },
+                                last_reload_error: {
+                                    type: 'object',
+                                    nullable: true,
+                                    description: 'Last failed reload; the previous snapshot keeps being served',
+                                    properties: {
+                                        message: { type: 'string' },
+                                        at: { type: 'string', format: 'date-time' }
+                                    }
+                                }
+                            }
+                        },
+                        assets: {
+                            type: 'object',
+                            description: 'Image paths in the dataset checked against public/images',
+                            properties: {
+                                status: {
+                                    type: 'string',
+                                    enum: ['ok', 'missing_images'],
+                                    example: 'missing_images'
+                                },
+                                files: {
+                                    type: 'integer',
+                                    description: 'Image files on disk'
+                                },
+                                referenced: {
+                                    type: 'integer',
+                                    description: 'Distinct image paths referenced by the dataset'
+                                },
+                                missing_count: { type: 'integer' },
+                                orphaned_count: { type: 'integer' },
+                                missing: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'Referenced paths without a file (served as placeholders)',
+                                    example: ['/images/episodes/s1e1.webp']
+                                },
+                                orphaned: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'Files no record references',
+                                    example: ['/images/episodes/chapter_one.webp']
+                                }
+                            }
                         }
                     }
                 }
@@ -467,6 +695,21 @@ All endpoints are accessible without authentication. Simply make GET requests to
                         }
                     }
                 },
+                Unauthorized: {
+                    description: 'Missing, invalid or revoked key',
+                    content: {
+                        'application/json': {
+                            schema: {
+                                $ref: '#/components/schemas/Error'
+                            },
+                            example: {
+                                error: 'Unauthorized',
+                                message: 'Invalid API key.',
+                                code: 401
+                            }
+                        }
+                    }
+                },
                 TooManyRequests: {
                     description: 'Rate limit exceeded',
                     content: {
@@ -484,6 +727,20 @@ All endpoints are accessible without authentication. Simply make GET requests to
                     }
                 }
             },
+            headers: {
+                Link: {
+                    description: 'RFC 8288 links to the first, prev, next and last pages',
+                    schema: {
+                        type: 'string'
+                    }
+                },
+                'X-Total-Count': {
+                    description: 'Total number of items matching the filters',
+                    schema: {
+                        type: 'integer'
+                    }
+                }
+            },
             parameters: {
                 pageParam: {
                     name: 'page',
@@ -506,18 +763,118 @@ All endpoints are accessible without authentication. Simply make GET requests to
                         default: 20
                     }
                 },
+                cursorParam: {
+                    name: 'cursor',
+                    in: 'query',
+                    description: 'Opaque cursor from `next_cursor` or `prev_cursor`. Pass an empty value to start cursor pagination. Cursors stay valid while records are added or removed, but only for the sort and filters they were issued with. Cannot be combined with `page`.',
+                    schema: {
+                        type: 'string'
+                    }
+                },
+                idsParam: {
+                    name: 'ids',
+                    in: 'query',
+                    description: 'Fetch several records at once (max 50) by ID or slug, e.g. `1,2,6` or `eleven,mike-wheeler`. Returns `{ info: { requested, count }, results, missing }` with results in request order and unknown IDs and slugs in `missing`; pagination, sort and filters are ignored. A batch counts as one request for rate limiting.',
+                    schema: {
+                        type: 'string'
+                    },
+                    example: '1,2,6'
+                },
+                formatParam: {
+                    name: 'format',
+                    in: 'query',
+                    description: 'Response format, overriding the Accept header. For non-JSON formats list responses contain only the records; pagination info moves to the X-Total-Count, X-Total-Pages, X-Current-Page, X-Per-Page, X-Next-Cursor and X-Prev-Cursor headers. In CSV, nested objects become dotted columns (`first_appearance.title`), arrays of values are joined with `; ` and arrays of objects are written as JSON.',
+                    schema: {
+                        type: 'string',
+                        enum: ['json', 'csv', 'ndjson', 'yaml', 'xml'],
+                        default: 'json'
+                    }
+                },
+                fieldsParam: {
+                    name: 'fields',
+                    in: 'query',
+                    description: 'Comma-separated fields to return. Use dot notation for nested fields (`first_appearance.title`); array items are picked one by one. Unknown fields return 400.',
+                    schema: {
+                        type: 'string'
+                    },
+                    example: 'id,name,portrait_path'
+                },
                 idParam: {
                     name: 'id',
                     in: 'path',
                     required: true,
-                    description: 'Unique identifier',
+                    description: 'Unique identifier or slug (e.g. 6 or jim-hopper). Renamed slugs redirect to the current one with a 301.',
+                    schema: {
+                        oneOf: [
+                            { type: 'integer', minimum: 1 },
+                            { type: 'string', pattern: '^[a-z0-9]+(?:-[a-z0-9]+)*$' }
+                        ]
+                    }
+                },
+                collectionParam: {
+                    name: 'collection',
+                    in: 'path',
+                    required: true,
+                    schema: {
+                        type: 'string',
+                        enum: Object.keys(DATA_SCHEMAS)
+                    }
+                },
+                recordIdParam: {
+                    name: 'recordId',
+                    in: 'path',
+                    required: true,
+                    description: 'Record ID',
                     schema: {
                         type: 'integer',
                         minimum: 1
                     }
+                },
+                ifMatchHeader: {
+                    name: 'If-Match',
+                    in: 'header',
+                    required: true,
+                    description: 'ETag of the record from a previous admin response, or `*` to skip the check',
+                    schema: {
+                        type: 'string'
+                    }
+                },
+                keyIdParam: {
+                    name: 'keyId',
+                    in: 'path',
+                    required: true,
+                    description: 'API key ID',
+                    schema: {
+                        type: 'string',
+                        pattern: '^key_[0-9a-f]{12}$'
+                    }
+                },
+                webhookIdParam: {
+                    name: 'webhookId',
+                    in: 'path',
+                    required: true,
+                    description: 'Webhook ID',
+                    schema: {
+                        type: 'string',
+                        pattern: '^wh_[0-9a-f]{12}$'
+                    }
+                }
+            },
+            securitySchemes: {
+                ApiKeyAuth: {
+                    type: 'apiKey',
+                    in: 'header',
+                    name: 'X-API-Key',
+                    description: 'Optional API key; requests are then rate limited per key with the limits of its tier'
+                },
+                AdminAuth: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    description: 'The ADMIN_API_KEY of the server'
                 }
             }
         },
+        security: [{}, { ApiKeyAuth: [] }],
         externalDocs: {
             description: 'GitHub Repository',
             url: 'https://github.com/JoseAlvarezDev/Stranger-Things-API'
@@ -528,4 +885,21 @@ All endpoints are accessible without authentication. Simply make GET requests to
 
 const swaggerSpec = swaggerJsdoc(options);
 
+// List and detail endpoints also answer in the formats of lib/formats.js
+// (see middleware/negotiation.js); document them once here instead of per route
+['characters', 'creatures', 'episodes', 'locations', 'quotes'].forEach(collection => {
+    [`/api/${collection}`, `/api/${collection}/{id}`].forEach(route => {
+        const operation = swaggerSpec.paths[route]?.get;
+        if (!operation) return;
+
+        operation.parameters = [...(operation.parameters || []), { $ref: '#/components/parameters/formatParam' }];
+
+        const content = operation.responses[200].content || {};
+        Object.entries(FORMATS).forEach(([format, [mediaType]]) => {
+            if (format !== 'json') content[mediaType] = { schema: { type: 'string' } };
+        });
+        operation.responses[200].content = content;
+    });
+});
+
 module.exports = swaggerSpec;
@@ -0,0 +1,245 @@
+/**
+ * API Key Registry for Stranger Things API
+ * Issued keys with their owner, tier and revocation state, persisted to a
+ * JSON file. Only SHA-256 hashes are stored: a key is shown once, when it
+ * is issued or rotated, and cannot be recovered afterwards.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const KEYS_FILE = process.env.API_KEYS_FILE
+    ? path.resolve(process.env.API_KEYS_FILE)
+    : path.join(__dirname, '..', '.data', 'api-keys.json');
+
+const KEY_PREFIX = 'stk_';
+
+// Characters of a key kept in the registry so owners can tell their keys apart
+const VISIBLE_KEY_LENGTH = 8;
+
+/**
+ * Rate limits per tier: requests per window of each limiter in
+ * middleware/security.js. Requests without a key use `anonymous`.
+ */
+const TIERS = {
+    anonymous: { general: 100, heavy: 1000, random: 30, suggest: 300 },
+    free: { general: 300, heavy: 5000, random: 60, suggest: 600 },
+    pro: { general: 1500, heavy: 25000, random: 300, suggest: 1200 }
+};
+
+const ANONYMOUS_TIER = 'anonymous';
+
+// Tiers a key can be issued with
+const KEY_TIERS = Object.keys(TIERS).filter(tier => tier !== ANONYMOUS_TIER);
+
+/**
+ * Hash a key for storage and lookup
+ * @param {string} key - API key as sent by the client
+ * @returns {string} Hex SHA-256
+ */
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+/**
+ * Describe a key record without its hash
+ * @param {Object} record - Stored record
+ * @returns {Object} { id, owner, tier, status, key_prefix, created_at, rotated_at, revoked_at }
+ */
+const toPublic = (record) => ({
+    id: record.id,
+    owner: record.owner,
+    tier: record.tier,
+    status: record.revoked_at ? 'revoked' : 'active',
+    key_prefix: record.key_prefix,
+    created_at: record.created_at,
+    rotated_at: record.rotated_at,
+    revoked_at: record.revoked_at
+});
+
+/**
+ * Registry of issued keys, loaded from and saved to a JSON file.
+ * Every change is written to a temporary file and renamed over the
+ * registry, so a crash never leaves half a file behind.
+ */
+class ApiKeyRegistry {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.file] - JSON file holding the registry
+     */
+    constructor({ file = KEYS_FILE } = {}) {
+        this.file = file;
+        this.records = null; // id => record
+        this.byHash = null; // hash => record
+    }
+
+    /**
+     * Read the registry from disk; a missing file is an empty registry
+     * @throws {Error} If the file is malformed or names an unknown tier
+     */
+    load() {
+        let records = [];
+
+        if (fs.existsSync(this.file)) {
+            try {
+                records = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            } catch (error) {
+                throw new Error(`Invalid JSON in ${this.file}: ${error.message}`);
+            }
+
+            if (!Array.isArray(records)) {
+                throw new Error(`${this.file} must contain an array of keys`);
+            }
+
+            records.forEach((record, position) => {
+                if (!record?.id || !record.hash || !TIERS[record.tier]) {
+                    throw new Error(`${this.file}: key at position ${position} needs an id, a hash and one of the tiers ${KEY_TIERS.join(', ')}`);
+                }
+            });
+        }
+
+        this.records = new Map(records.map(record => [record.id, record]));
+        this.byHash = new Map(records.map(record => [record.hash, record]));
+    }
+
+    /**
+     * Load the registry on first use
+     * @returns {Map} id => record
+     */
+    current() {
+        if (!this.records) this.load();
+        return this.records;
+    }
+
+    /**
+     * Write a changed registry to disk, then make it the current one. If
+     * the write fails, the keys in memory stay as they were on disk.
+     * @param {Map} records - id => record, with the change applied
+     */
+    save(records) {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+        const temp = `${this.file}.${process.pid}.tmp`;
+        fs.writeFileSync(temp, JSON.stringify([...records.values()], null, 4));
+        fs.renameSync(temp, this.file);
+
+        this.records = records;
+        this.byHash = new Map([...records.values()].map(record => [record.hash, record]));
+    }
+
+    /**
+     * Save the registry with one record added or replaced
+     * @param {Object} record - New record
+     * @returns {Object} The record
+     */
+    put(record) {
+        this.save(new Map(this.current()).set(record.id, record));
+        return record;
+    }
+
+    /**
+     * Create a new secret and the fields derived from it
+     * @returns {Object} { key, hash, key_prefix }
+     */
+    generateKey() {
+        const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+        return { key, hash: hashKey(key), key_prefix: key.slice(0, KEY_PREFIX.length + VISIBLE_KEY_LENGTH) };
+    }
+
+    /**
+     * Issue a key
+     * @param {Object} options
+     * @param {string} options.owner - Who the key belongs to
+     * @param {string} options.tier - One of KEY_TIERS
+     * @returns {Object} { key, record }, the key being shown this once
+     */
+    issue({ owner, tier }) {
+        const { key, hash, key_prefix } = this.generateKey();
+        const record = {
+            id: `key_${crypto.randomBytes(6).toString('hex')}`,
+            hash,
+            key_prefix,
+            owner,
+            tier,
+            created_at: new Date().toISOString(),
+            rotated_at: null,
+            revoked_at: null
+        };
+
+        this.put(record);
+
+        return { key, record: toPublic(record) };
+    }
+
+    /**
+     * Find the record of a key sent by a client
+     * @param {string} key - API key
+     * @returns {Object|undefined} Public record, revoked keys included
+     */
+    find(key) {
+        this.current();
+        const record = this.byHash.get(hashKey(key));
+        return record && toPublic(record);
+    }
+
+    /**
+     * Get a key by ID
+     * @param {string} id - Key ID
+     * @returns {Object|undefined} Public record
+     */
+    get(id) {
+        const record = this.current().get(id);
+        return record && toPublic(record);
+    }
+
+    /**
+     * List every key, newest first
+     * @returns {Array} Public records
+     */
+    list() {
+        return [...this.current().values()]
+            .sort((a, b) => b.created_at.localeCompare(a.created_at))
+            .map(toPublic);
+    }
+
+    /**
+     * Replace the secret of a key. The old secret stops working at once;
+     * ID, owner, tier and rate limit counters carry over.
+     * @param {string} id - Key ID
+     * @returns {Object|null} { key, record }, or null for unknown IDs
+     * @throws {Error} With code 'KEY_REVOKED' for revoked keys
+     */
+    rotate(id) {
+        const record = this.current().get(id);
+        if (!record) return null;
+
+        if (record.revoked_at) {
+            const error = new Error(`Key ${id} is revoked and cannot be rotated`);
+            error.code = 'KEY_REVOKED';
+            throw error;
+        }
+
+        const { key, hash, key_prefix } = this.generateKey();
+        const rotated = this.put({ ...record, hash, key_prefix, rotated_at: new Date().toISOString() });
+
+        return { key, record: toPublic(rotated) };
+    }
+
+    /**
+     * Revoke a key. Revoking twice keeps the first revocation time.
+     * @param {string} id - Key ID
+     * @returns {Object|null} Public record, or null for unknown IDs
+     */
+    revoke(id) {
+        const record = this.current().get(id);
+        if (!record) return null;
+        if (record.revoked_at) return toPublic(record);
+
+        return toPublic(this.put({ ...record, revoked_at: new Date().toISOString() }));
+    }
+}
+
+module.exports = new ApiKeyRegistry();
+module.exports.ApiKeyRegistry = ApiKeyRegistry;
+module.exports.TIERS = TIERS;
+module.exports.ANONYMOUS_TIER = ANONYMOUS_TIER;
+module.exports.KEY_TIERS = KEY_TIERS;
@@ -0,0 +1,130 @@
+/**
+ * Appearance Index for Stranger Things API
+ * Links characters, creatures and locations to the episodes they appear in.
+ * Records without `episode_ids` get an estimate from their seasons and first
+ * appearance, which responses flag as `approximate`.
+ */
+
+const store = require('./dataStore');
+
+const APPEARING_COLLECTIONS = ['characters', 'creatures', 'locations'];
+
+/**
+ * Work out which episodes a record appears in.
+ * An explicit `episode_ids` array on the record wins; otherwise every episode
+ * of the record's seasons is used, starting from its first appearance.
+ * @param {Object} record - Character, creature or location
+ * @param {Array} episodes - All episodes, in air order
+ * @param {Object|undefined} firstEpisode - Resolved first appearance
+ * @returns {number[]} Episode IDs in air order
+ */
+const resolveEpisodeIds = (record, episodes, firstEpisode) => {
+    if (Array.isArray(record.episode_ids)) {
+        return episodes.filter(e => record.episode_ids.includes(e.id)).map(e => e.id);
+    }
+
+    const seasons = record.seasons || [];
+
+    return episodes.filter(e => {
+        if (firstEpisode && e.id === firstEpisode.id) return true;
+        if (!seasons.includes(e.season)) return false;
+        if (firstEpisode && e.season === firstEpisode.season) return e.episode >= firstEpisode.episode;
+        return !firstEpisode || e.season > firstEpisode.season;
+    }).map(e => e.id);
+};
+
+/**
+ * Build the appearance index for a snapshot
+ * @param {Object} snapshot - Data store snapshot
+ * @returns {Object} Lookups by episode title, by episode and by record, and
+ * the IDs of the records whose episodes are estimated
+ */
+const buildAppearances = (snapshot) => {
+    const { episodes } = snapshot.collections;
+    const byTitle = new Map(episodes.map(e => [e.title.toLowerCase(), e]));
+    const byEpisode = new Map(episodes.map(e => [e.id, { characters: [], creatures: [], locations: [] }]));
+    const byRecord = {};
+    const approximate = {};
+
+    APPEARING_COLLECTIONS.forEach(collection => {
+        byRecord[collection] = new Map();
+        approximate[collection] = new Set();
+
+        snapshot.collections[collection].forEach(record => {
+            const firstEpisode = byTitle.get(String(record.first_appearance).toLowerCase());
+            const episodeIds = resolveEpisodeIds(record, episodes, firstEpisode);
+
+            byRecord[collection].set(record.id, episodeIds);
+            episodeIds.forEach(id => byEpisode.get(id)[collection].push(record.id));
+            if (!Array.isArray(record.episode_ids)) approximate[collection].add(record.id);
+        });
+    });
+
+    return { byTitle, byEpisode, byRecord, approximate };
+};
+
+/**
+ * Get the appearance index for the current snapshot
+ * @returns {Object} The appearance index
+ */
+const getAppearances = () => store.derive('appearances', buildAppearances);
+
+/**
+ * Episodes a character, creature or location appears in
+ * @param {string} collection - characters, creatures or locations
+ * @param {number} id - Record ID
+ * @returns {Array} Episode records in air order
+ */
+const episodesFor = (collection, id) => {
+    const ids = getAppearances().byRecord[collection].get(id) || [];
+    return ids.map(episodeId => store.findById('episodes', episodeId));
+};
+
+/**
+ * Records of a collection appearing in an episode
+ * @param {number} episodeId - Episode ID
+ * @param {string} collection - characters, creatures or locations
+ * @returns {Array} Records in file order
+ */
+const appearingIn = (episodeId, collection) => {
+    const entry = getAppearances().byEpisode.get(episodeId);
+    if (!entry) return [];
+    return entry[collection].map(id => store.findById(collection, id));
+};
+
+/**
+ * Whether the episodes of a record are estimated from its seasons and first
+ * appearance, because it has no `episode_ids`
+ * @param {string} collection - characters, creatures or locations
+ * @param {number} id - Record ID
+ * @returns {boolean} Whether episodesFor() is an estimate
+ */
+const isApproximate = (collection, id) => getAppearances().approximate[collection].has(id);
+
+/**
+ * Whether the records of a collection appearing in an episode are an
+ * estimate: true as soon as one record of the collection has no `episode_ids`,
+ * since it may be listed in episodes it is not in, or missing from others
+ * @param {string} collection - characters, creatures or locations
+ * @returns {boolean} Whether appearingIn() is an estimate
+ */
+const isApproximateIn = (collection) => getAppearances().approximate[collection].size > 0;
+
+/**
+ * Resolve a record's free-text `first_appearance` title to an episode
+ * @param {Object} record - Character, creature or location
+ * @returns {Object|null} The episode, or null if the title matches none
+ */
+const resolveFirstAppearance = (record) => {
+    if (typeof record.first_appearance !== 'string') return null;
+    return getAppearances().byTitle.get(record.first_appearance.toLowerCase()) || null;
+};
+
+module.exports = {
+    APPEARING_COLLECTIONS,
+    episodesFor,
+    appearingIn,
+    isApproximate,
+    isApproximateIn,
+    resolveFirstAppearance
+};
@@ -0,0 +1,134 @@
+/**
+ * Asset Integrity for Stranger Things API
+ * Cross-references the image paths in the dataset with the files in
+ * public/images: referenced files that do not exist are missing, files no
+ * record points at are orphaned
+ *
+ * Run `npm run check:assets` for a report (exits with 1 when images are missing)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const store = require('./dataStore');
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+const IMAGES_DIR = path.join(PUBLIC_DIR, 'images');
+
+// Image folders used by the website rather than the dataset
+const SITE_IMAGE_DIRS = ['brand'];
+
+/**
+ * Whether a record field holds an asset path (`portrait_path`, `image_path`, ...)
+ * @param {string} field - Field name
+ * @param {*} value - Field value
+ * @returns {boolean}
+ */
+const isAssetField = (field, value) => field.endsWith('_path') && typeof value === 'string' && value !== '';
+
+/**
+ * Every asset path referenced by the current dataset, with the records
+ * referencing it
+ * @returns {Map} URL path => [{ collection, id, field }]
+ */
+const getImageReferences = () => store.derive('imageReferences', snapshot => {
+    const references = new Map();
+
+    Object.entries(snapshot.collections).forEach(([collection, records]) => {
+        records.forEach(record => {
+            Object.entries(record).forEach(([field, value]) => {
+                if (!isAssetField(field, value)) return;
+
+                if (!references.has(value)) references.set(value, []);
+                references.get(value).push({ collection, id: record.id, field });
+            });
+        });
+    });
+
+    return references;
+});
+
+/**
+ * Find the file of an asset URL path, refusing anything outside public/images
+ * @param {string} url - e.g. "/images/characters/eleven.webp"
+ * @returns {string|null} Absolute file path
+ */
+const resolveAssetFile = (url) => {
+    const file = path.join(PUBLIC_DIR, url);
+    return file.startsWith(IMAGES_DIR + path.sep) ? file : null;
+};
+
+/**
+ * List the files below public/images as URL paths
+ * @param {string} [dir] - Directory to walk
+ * @returns {string[]} e.g. ["/images/characters/eleven.webp"]
+ */
+const listImageFiles = (dir = IMAGES_DIR) => {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) return listImageFiles(file);
+        if (!entry.isFile() || entry.name.startsWith('.')) return [];
+        return [`/images/${path.relative(IMAGES_DIR, file).split(path.sep).join('/')}`];
+    });
+};
+
+/**
+ * Whether an asset is referenced by the dataset but has no file, so it
+ * should be served as a placeholder
+ * @param {string} url - URL path
+ * @returns {boolean}
+ */
+const isMissingImage = (url) => {
+    if (!getImageReferences().has(url)) return false;
+
+    const file = resolveAssetFile(url);
+    return !file || !fs.existsSync(file);
+};
+
+/**
+ * Check the dataset against public/images. The file system is read on
+ * every call, so images added or removed without a data change show up.
+ * @returns {Object} { status, files, referenced, missing: [{ path, references }], orphaned: [path] }
+ */
+const checkAssets = () => {
+    const references = getImageReferences();
+    const files = new Set(listImageFiles());
+
+    const missing = [...references.keys()]
+        .filter(url => !files.has(url) || !resolveAssetFile(url))
+        .sort()
+        .map(url => ({ path: url, references: references.get(url) }));
+
+    const orphaned = [...files]
+        .filter(url => !references.has(url) && !SITE_IMAGE_DIRS.includes(url.split('/')[2]))
+        .sort();
+
+    return {
+        status: missing.length === 0 ? 'ok' : 'missing_images',
+        files: files.size,
+        referenced: references.size,
+        missing,
+        orphaned
+    };
+};
+
+module.exports = {
+    getImageReferences,
+    resolveAssetFile,
+    isMissingImage,
+    checkAssets
+};
+
+if (require.main === module) {
+    store.load();
+    const report = checkAssets();
+
+    console.log(`${report.files} image files, ${report.referenced} referenced by the dataset`);
+    console.log(`\nMissing (${report.missing.length}):`);
+    report.missing.forEach(({ path: url, references }) => {
+        console.log(`  ${url} <- ${references.map(ref => `${ref.collection}#${ref.id}.${ref.field}`).join(', ')}`);
+    });
+    console.log(`\nOrphaned (${report.orphaned.length}):`);
+    report.orphaned.forEach(url => console.log(`  ${url}`));
+
+    process.exitCode = report.missing.length > 0 ? 1 : 0;
+}
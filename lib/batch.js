@@ -0,0 +1,87 @@
+/**
+ * Batch Fetch for Stranger Things API
+ * Serves several records by ID or slug in one request:
+ * `/api/characters/1,mike-wheeler,6` or `/api/characters?ids=1,2,6`
+ */
+
+const store = require('./dataStore');
+const { getSerializeOptions, serializeMany } = require('./serializers');
+const { SLUG_PATTERN } = require('./slugs');
+
+const MAX_BATCH_SIZE = 50;
+
+/**
+ * Parse a comma-separated list of IDs and slugs. Duplicates are dropped,
+ * keeping the first occurrence.
+ * @param {string|string[]} idsParam - e.g. "1,mike-wheeler,6"
+ * @returns {Object} { ids } (numbers for IDs, strings for slugs) or { error }
+ */
+const parseIds = (idsParam) => {
+    const parts = [].concat(idsParam).join(',').split(',').map(part => part.trim());
+
+    if (parts.every(part => part === '')) {
+        return { error: 'No IDs given. Use a comma-separated list such as 1,2,6.' };
+    }
+
+    const invalid = parts.filter(part => !/^[1-9]\d*$/.test(part) && !SLUG_PATTERN.test(part));
+    if (invalid.length > 0) {
+        return { error: `Invalid ID(s): ${invalid.map(part => `"${part}"`).join(', ')}. Use positive integer IDs or slugs.` };
+    }
+
+    const ids = [...new Set(parts.map(part => (/^\d+$/.test(part) ? Number(part) : part)))];
+    if (ids.length > MAX_BATCH_SIZE) {
+        return { error: `Too many IDs: ${ids.length}. A batch can hold at most ${MAX_BATCH_SIZE}.` };
+    }
+
+    return { ids };
+};
+
+/**
+ * Find the record an ID or slug (current or previous) names
+ * @param {string} collection - Collection name
+ * @param {number|string} id - From parseIds()
+ * @returns {Object|undefined} The record
+ */
+const resolveId = (collection, id) => {
+    return typeof id === 'number' ? store.findById(collection, id) : store.findBySlug(collection, id)?.record;
+};
+
+/**
+ * Answer batch requests on list and detail routes; other requests pass
+ * through. Records come back in request order and unknown IDs and slugs
+ * are listed in `missing` instead of failing the request.
+ * @param {string} collection - Collection name
+ */
+const handleBatch = (collection) => (req, res, next) => {
+    const idsParam = req.params.id?.includes(',') ? req.params.id : req.query.ids;
+    if (idsParam === undefined) return next();
+
+    const { ids, error } = parseIds(idsParam);
+    if (error) {
+        return res.status(400).json({
+            error: 'Bad Request',
+            message: error,
+            code: 400
+        });
+    }
+
+    const resolved = ids.map(id => resolveId(collection, id));
+    const missing = ids.filter((id, position) => !resolved[position]);
+    // An ID and a slug of the same record return it once
+    const records = [...new Set(resolved.filter(Boolean))];
+
+    res.json({
+        info: {
+            requested: ids.length,
+            count: records.length
+        },
+        results: serializeMany(collection, records, getSerializeOptions(req.query, req.apiVersion, req.locale)),
+        missing
+    });
+};
+
+module.exports = {
+    MAX_BATCH_SIZE,
+    parseIds,
+    handleBatch
+};
@@ -0,0 +1,189 @@
+/**
+ * Change Log for Stranger Things API
+ * An append-only log of created, updated and deleted records, derived by
+ * diffing each new dataset snapshot against the previous one. Entries are
+ * persisted as NDJSON together with a baseline of the last logged dataset,
+ * so changes made while the server was down are picked up at startup.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CHANGES_FILE = process.env.CHANGE_LOG_FILE
+    ? path.resolve(process.env.CHANGE_LOG_FILE)
+    : path.join(__dirname, '..', '.data', 'changes.ndjson');
+
+const ACTIONS = ['created', 'updated', 'deleted'];
+
+/**
+ * Flatten a snapshot into one entry per record: its fields plus its
+ * translations as `translations.<locale>.<field>`, so translation edits
+ * show up as field changes of the record
+ * @param {Object} snapshot - Data store snapshot
+ * @returns {Object} Collection name => { id => fields }
+ */
+const flattenSnapshot = (snapshot) => Object.fromEntries(Object.entries(snapshot.collections).map(([name, records]) => [
+    name,
+    Object.fromEntries(records.map(record => {
+        const fields = { ...record };
+
+        Object.entries(snapshot.translations).forEach(([locale, overlays]) => {
+            Object.entries(overlays[name]?.get(record.id) || {}).forEach(([field, value]) => {
+                fields[`translations.${locale}.${field}`] = value;
+            });
+        });
+
+        return [record.id, fields];
+    }))
+]));
+
+/**
+ * Field-level diff of two versions of a record
+ * @param {Object} [before] - Fields before (missing for created records)
+ * @param {Object} [after] - Fields after (missing for deleted records)
+ * @returns {Object} Field => { from, to }, null standing for an absent field
+ */
+const diffFields = (before = {}, after = {}) => {
+    const changes = {};
+
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(field => {
+        if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+            changes[field] = { from: before[field] ?? null, to: after[field] ?? null };
+        }
+    });
+
+    return changes;
+};
+
+/**
+ * Log of dataset changes, numbered by a sequence that only grows
+ */
+class ChangeLog {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.file] - NDJSON file holding the entries
+     */
+    constructor({ file = CHANGES_FILE } = {}) {
+        this.file = file;
+        this.baselineFile = file.replace(/(\.ndjson)?$/, '.baseline.json');
+        this.entries = [];
+        this.baseline = null;
+    }
+
+    /**
+     * Read the log and log whatever changed since the baseline was written.
+     * Without a baseline (the first start) the snapshot becomes the baseline
+     * and nothing is logged.
+     * @param {Object} snapshot - Current data store snapshot
+     * @returns {Array} The entries logged for changes made while the server was down
+     * @throws {Error} If the log or baseline file is malformed
+     */
+    load(snapshot) {
+        this.entries = [];
+        this.baseline = null;
+
+        if (fs.existsSync(this.file)) {
+            fs.readFileSync(this.file, 'utf8').split('\n').forEach((line, index) => {
+                if (!line.trim()) return;
+
+                try {
+                    this.entries.push(JSON.parse(line));
+                } catch (error) {
+                    throw new Error(`Invalid JSON on line ${index + 1} of ${this.file}: ${error.message}`);
+                }
+            });
+        }
+
+        if (fs.existsSync(this.baselineFile)) {
+            try {
+                this.baseline = JSON.parse(fs.readFileSync(this.baselineFile, 'utf8'));
+            } catch (error) {
+                throw new Error(`Invalid JSON in ${this.baselineFile}: ${error.message}`);
+            }
+        }
+
+        return this.record(snapshot);
+    }
+
+    /**
+     * Log the differences between the baseline and a new snapshot, then
+     * make the snapshot the baseline
+     * @param {Object} snapshot - New data store snapshot
+     * @returns {Array} The new entries
+     */
+    record(snapshot) {
+        if (this.baseline?.version === snapshot.version) return [];
+
+        const records = flattenSnapshot(snapshot);
+        const previous = this.baseline?.records;
+        const entries = [];
+
+        if (previous) {
+            Object.keys({ ...previous, ...records }).forEach(collection => {
+                const before = previous[collection] || {};
+                const after = records[collection] || {};
+
+                // IDs are object keys: strings, in ascending order
+                new Set([...Object.keys(after), ...Object.keys(before)]).forEach(id => {
+                    const changes = diffFields(before[id], after[id]);
+                    if (Object.keys(changes).length === 0) return;
+
+                    entries.push({
+                        sequence: this.latestSequence() + entries.length + 1,
+                        timestamp: snapshot.loadedAt,
+                        dataset_version: snapshot.version,
+                        action: !before[id] ? 'created' : !after[id] ? 'deleted' : 'updated',
+                        collection,
+                        id: Number(id),
+                        changes
+                    });
+                });
+            });
+        }
+
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+        // Entries first: after a crash before the baseline is saved, the
+        // changes are logged again rather than lost
+        if (entries.length > 0) {
+            fs.appendFileSync(this.file, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+            this.entries.push(...entries);
+        }
+
+        this.baseline = { version: snapshot.version, records };
+        const temp = `${this.baselineFile}.${process.pid}.tmp`;
+        fs.writeFileSync(temp, JSON.stringify(this.baseline));
+        fs.renameSync(temp, this.baselineFile);
+
+        return entries;
+    }
+
+    /**
+     * Sequence of the last entry
+     * @returns {number} 0 for an empty log
+     */
+    latestSequence() {
+        return this.entries.length > 0 ? this.entries[this.entries.length - 1].sequence : 0;
+    }
+
+    /**
+     * Entries after a sequence number or a point in time, oldest first
+     * @param {Object} options
+     * @param {number} [options.sequence] - Return entries with a greater sequence
+     * @param {string} [options.timestamp] - Or entries logged after this ISO 8601 time
+     * @param {string} [options.collection] - Only entries of this collection
+     * @returns {Array} Matching entries
+     */
+    since({ sequence, timestamp, collection }) {
+        const after = timestamp !== undefined ? Date.parse(timestamp) : null;
+
+        return this.entries.filter(entry =>
+            (after === null ? entry.sequence > (sequence || 0) : Date.parse(entry.timestamp) > after) &&
+            (!collection || entry.collection === collection)
+        );
+    }
+}
+
+module.exports = new ChangeLog();
+module.exports.ChangeLog = ChangeLog;
+module.exports.ACTIONS = ACTIONS;
@@ -0,0 +1,406 @@
+/**
+ * Data Store for Stranger Things API
+ * Loads every collection and its translations from data/, validates them,
+ * indexes records by ID and slug and hot-reloads the whole dataset when the
+ * JSON files change on disk
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { assignSlugs, buildSlugIndex } = require('./slugs');
+const { DEFAULT_LOCALE, validateDataset, findUnresolvedReferences } = require('./dataValidation');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const LOCALES_DIR = 'locales';
+const COLLECTIONS = ['characters', 'creatures', 'episodes', 'locations', 'quotes'];
+const RELOAD_DEBOUNCE_MS = 100;
+const MAX_REPORTED_ERRORS = 10;
+
+/**
+ * In-memory store holding an immutable snapshot of the dataset.
+ * Readers always see one consistent snapshot; reloads build a new one
+ * and swap it in with a single assignment.
+ *
+ * Events:
+ * - `reload` (snapshot, previous) after a new snapshot is swapped in
+ * - `reloadError` (error) when a reload fails and the last good snapshot is kept
+ */
+class DataStore extends EventEmitter {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.dataDir] - Directory holding the JSON files
+     * @param {string[]} [options.collections] - Collection names (file basenames)
+     */
+    constructor({ dataDir = DATA_DIR, collections = COLLECTIONS } = {}) {
+        super();
+        this.dataDir = dataDir;
+        this.collections = collections;
+        this.snapshot = null;
+        this.lastError = null;
+        this.watchers = null; // directory => fs.FSWatcher
+        this.reloadTimer = null;
+        this.derivedCache = new WeakMap();
+    }
+
+    /**
+     * Read a JSON file of records
+     * @param {string} file - Path relative to the data directory
+     * @returns {Object} { raw, records, mtimeMs }
+     * @throws {Error} If the file is missing, malformed or not an array of records with IDs
+     */
+    readRecords(file) {
+        const fullPath = path.join(this.dataDir, file);
+        const raw = fs.readFileSync(fullPath, 'utf8');
+        let records;
+
+        try {
+            records = JSON.parse(raw);
+        } catch (error) {
+            throw new Error(`Invalid JSON in ${file}: ${error.message}`);
+        }
+
+        if (!Array.isArray(records)) {
+            throw new Error(`${file} must contain an array of records`);
+        }
+
+        records.forEach((record, position) => {
+            if (!record || !Number.isInteger(record.id)) {
+                throw new Error(`${file}: record at position ${position} has no integer id`);
+            }
+        });
+
+        return { raw, records, mtimeMs: fs.statSync(fullPath).mtimeMs };
+    }
+
+    /**
+     * Read and index every collection and translation from disk
+     * @returns {Object} A frozen snapshot
+     * @throws {Error} If a file is missing or malformed, or the data fails validation
+     */
+    readSnapshot() {
+        const hash = crypto.createHash('sha256');
+        const parsed = {};
+        const parsedTranslations = {};
+        const collections = {};
+        const indexes = {};
+        const slugIndexes = {};
+        const translations = {};
+        let lastModified = 0;
+
+        for (const name of this.collections) {
+            const { raw, records, mtimeMs } = this.readRecords(`${name}.json`);
+
+            lastModified = Math.max(lastModified, mtimeMs);
+            hash.update(name).update(raw);
+            parsed[name] = records;
+        }
+
+        // Translations are optional, per locale and per collection
+        for (const locale of this.listLocaleDirs()) {
+            parsedTranslations[locale] = {};
+
+            for (const name of this.collections) {
+                const file = path.join(LOCALES_DIR, locale, `${name}.json`);
+                if (!fs.existsSync(path.join(this.dataDir, file))) continue;
+
+                const { raw, records, mtimeMs } = this.readRecords(file);
+                lastModified = Math.max(lastModified, mtimeMs);
+                hash.update(file).update(raw);
+                parsedTranslations[locale][name] = records;
+            }
+        }
+
+        const errors = validateDataset(parsed, parsedTranslations);
+        if (errors.length > 0) {
+            const shown = errors.slice(0, MAX_REPORTED_ERRORS).map(error => `\n  - ${error}`).join('');
+            const more = errors.length > MAX_REPORTED_ERRORS ? `\n  ...and ${errors.length - MAX_REPORTED_ERRORS} more (npm run validate-data)` : '';
+            throw new Error(`Invalid data (${errors.length} problem(s)):${shown}${more}`);
+        }
+
+        for (const name of this.collections) {
+            const records = assignSlugs(name, parsed[name]);
+
+            collections[name] = Object.freeze(records);
+            indexes[name] = new Map(records.map(record => [record.id, record]));
+            slugIndexes[name] = buildSlugIndex(records);
+        }
+
+        Object.entries(parsedTranslations).forEach(([locale, overlays]) => {
+            translations[locale] = Object.freeze(Object.fromEntries(Object.entries(overlays).map(([name, entries]) => [
+                name,
+                new Map(entries.map(({ id, ...fields }) => [id, Object.freeze(fields)]))
+            ])));
+        });
+
+        return Object.freeze({
+            version: hash.digest('hex').substring(0, 12),
+            loadedAt: new Date().toISOString(),
+            lastModified: new Date(lastModified).toISOString(),
+            collections: Object.freeze(collections),
+            indexes: Object.freeze(indexes),
+            slugIndexes: Object.freeze(slugIndexes),
+            translations: Object.freeze(translations)
+        });
+    }
+
+    /**
+     * Names of the directories in data/locales
+     * @returns {string[]} Locale codes, sorted
+     */
+    listLocaleDirs() {
+        const dir = path.join(this.dataDir, LOCALES_DIR);
+        if (!fs.existsSync(dir)) return [];
+
+        return fs.readdirSync(dir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory())
+            .map(entry => entry.name)
+            .sort();
+    }
+
+    /**
+     * Load the initial snapshot. Errors are thrown, since there is
+     * no previous snapshot to fall back to.
+     * @returns {Object} The loaded snapshot
+     */
+    load() {
+        this.snapshot = this.readSnapshot();
+        this.lastError = null;
+
+        const warnings = findUnresolvedReferences(this.snapshot.collections);
+        if (warnings.length > 0) {
+            console.warn(`[Data Store] ${warnings.length} unresolved reference(s) are served as null or left out (npm run validate-data)`);
+        }
+
+        return this.snapshot;
+    }
+
+    /**
+     * Rebuild the snapshot from disk and swap it in. Files that are
+     * unchanged (such as the watcher noticing a write that was already
+     * reloaded) keep the current snapshot.
+     * On failure the last good snapshot keeps being served.
+     * @returns {boolean} Whether the reload succeeded
+     */
+    reload() {
+        try {
+            const previous = this.snapshot;
+            const next = this.readSnapshot();
+            this.lastError = null;
+            if (next.version === previous?.version) return true;
+
+            this.snapshot = next;
+            console.log(`[Data Store] Reloaded dataset (version ${this.snapshot.version})`);
+            this.emit('reload', this.snapshot, previous);
+            return true;
+        } catch (error) {
+            this.lastError = { message: error.message, at: new Date().toISOString() };
+            console.error(`[Data Store] Reload failed, keeping version ${this.snapshot?.version}:`, error.message);
+            this.emit('reloadError', error);
+            return false;
+        }
+    }
+
+    /**
+     * Replace data files and reload. Every file is written to a temporary
+     * file first and all of them are then renamed over the originals, so
+     * the watcher and readers never see half-written JSON.
+     * @param {Object} files - Path relative to the data directory => content
+     * @returns {boolean} Whether the reload succeeded
+     */
+    writeFiles(files) {
+        const renames = Object.entries(files).map(([file, content]) => {
+            const target = path.join(this.dataDir, file);
+            const temp = `${target}.${process.pid}.tmp`;
+
+            fs.writeFileSync(temp, content);
+            return [temp, target];
+        });
+
+        renames.forEach(([temp, target]) => fs.renameSync(temp, target));
+        return this.reload();
+    }
+
+    /**
+     * Watch the data directory, translations included, and reload (debounced) on changes
+     */
+    watch() {
+        if (this.watchers) return;
+
+        this.watchers = new Map();
+        this.syncWatchers();
+    }
+
+    /**
+     * Watch data/, data/locales and every locale directory with one watcher
+     * each (recursive fs.watch needs Node 20 on Linux), adding and closing
+     * watchers as locale directories come and go
+     */
+    syncWatchers() {
+        const localesDir = path.join(this.dataDir, LOCALES_DIR);
+        const dirs = [this.dataDir, localesDir, ...this.listLocaleDirs().map(locale => path.join(localesDir, locale))]
+            .filter(dir => fs.existsSync(dir));
+
+        this.watchers.forEach((watcher, dir) => {
+            if (dirs.includes(dir)) return;
+
+            watcher.close();
+            this.watchers.delete(dir);
+        });
+
+        dirs.filter(dir => !this.watchers.has(dir)).forEach(dir => {
+            const watcher = fs.watch(dir, (eventType, filename) => {
+                if (!this.watchers) return;
+
+                if (filename && !this.collections.includes(path.basename(filename, '.json'))) {
+                    // data/locales or one of its locale directories was added or removed
+                    if (dir === this.dataDir || dir === localesDir) this.syncWatchers();
+                    if (dir !== localesDir) return;
+                }
+
+                clearTimeout(this.reloadTimer);
+                this.reloadTimer = setTimeout(() => this.reload(), RELOAD_DEBOUNCE_MS);
+            });
+
+            // Deleting a watched directory errors its watcher on some platforms
+            watcher.on('error', () => {
+                watcher.close();
+                this.watchers?.delete(dir);
+            });
+            watcher.unref();
+            this.watchers.set(dir, watcher);
+        });
+    }
+
+    /**
+     * Stop watching the data directory
+     */
+    close() {
+        clearTimeout(this.reloadTimer);
+        if (this.watchers) {
+            this.watchers.forEach(watcher => watcher.close());
+            this.watchers = null;
+        }
+    }
+
+    /**
+     * Get the current snapshot, loading it on first use
+     * @returns {Object} The current snapshot
+     */
+    current() {
+        return this.snapshot || this.load();
+    }
+
+    /**
+     * Get every record of a collection
+     * @param {string} name - Collection name
+     * @param {string} [locale] - Locale to translate the records to, so lists are
+     *   filtered and sorted on the values clients see
+     * @returns {Array} Records in file order
+     */
+    all(name, locale = DEFAULT_LOCALE) {
+        if (!this.current().translations[locale]) return this.current().collections[name];
+
+        return this.derive(`localized:${locale}:${name}`, snapshot => Object.freeze(
+            snapshot.collections[name].map(record => this.localize(name, record, locale))
+        ));
+    }
+
+    /**
+     * Find a record by ID
+     * @param {string} name - Collection name
+     * @param {number} id - Record ID
+     * @returns {Object|undefined} The record, if any
+     */
+    findById(name, id) {
+        return this.current().indexes[name].get(id);
+    }
+
+    /**
+     * Find a record by its current or a previous slug
+     * @param {string} name - Collection name
+     * @param {string} slug - Record slug
+     * @returns {Object|undefined} { record, canonical }, canonical being false for previous slugs
+     */
+    findBySlug(name, slug) {
+        return this.current().slugIndexes[name].get(slug);
+    }
+
+    /**
+     * Locales the dataset can be served in
+     * @returns {string[]} The default locale, then every translated one
+     */
+    locales() {
+        return [DEFAULT_LOCALE, ...Object.keys(this.current().translations)];
+    }
+
+    /**
+     * Apply the translations of a locale to a record. Fields without a
+     * translation keep their value from the default locale.
+     * @param {string} name - Collection name
+     * @param {Object} record - Record in the default locale
+     * @param {string} [locale] - Locale code
+     * @returns {Object} The translated record (the record itself when nothing is translated)
+     */
+    localize(name, record, locale = DEFAULT_LOCALE) {
+        const overlay = this.current().translations[locale]?.[name]?.get(record.id);
+        return overlay ? { ...record, ...overlay } : record;
+    }
+
+    /**
+     * Compute a value from the current snapshot once and cache it until
+     * the next reload. Use this for indexes built on top of the raw data.
+     * @param {string} key - Cache key
+     * @param {Function} builder - (snapshot) => value
+     * @returns {*} The cached value
+     */
+    derive(key, builder) {
+        const snapshot = this.current();
+        let cache = this.derivedCache.get(snapshot);
+
+        if (!cache) {
+            cache = new Map();
+            this.derivedCache.set(snapshot, cache);
+        }
+
+        if (!cache.has(key)) {
+            cache.set(key, builder(snapshot));
+        }
+
+        return cache.get(key);
+    }
+
+    /**
+     * Drop a value cached by derive() for the current snapshot, such as a
+     * promise that rejected, so the next call builds it again
+     * @param {string} key - Cache key
+     * @param {*} value - The cached value; nothing is dropped if the key now holds another
+     */
+    forget(key, value) {
+        const cache = this.derivedCache.get(this.current());
+        if (cache?.get(key) === value) cache.delete(key);
+    }
+
+    /**
+     * Status summary for health checks
+     * @returns {Object} Version, load and modification times, watch state and last error
+     */
+    status() {
+        const snapshot = this.current();
+
+        return {
+            version: snapshot.version,
+            loaded_at: snapshot.loadedAt,
+            last_modified: snapshot.lastModified,
+            watching: Boolean(this.watchers),
+            last_reload_error: this.lastError
+        };
+    }
+}
+
+module.exports = new DataStore();
+module.exports.DataStore = DataStore;
+module.exports.COLLECTIONS = COLLECTIONS;
+module.exports.LOCALES_DIR = LOCALES_DIR;
+module.exports.DEFAULT_LOCALE = DEFAULT_LOCALE;
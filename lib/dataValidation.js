@@ -0,0 +1,319 @@
+/**
+ * Data Validation for Stranger Things API
+ * Checks data/*.json against the JSON Schemas in data/schemas, plus what a
+ * schema cannot express: unique IDs, references between collections and
+ * the translations in data/locales. Free-text references the API tolerates
+ * (first appearances and related species that match nothing) are warnings.
+ *
+ * Run `npm run validate-data` for a report (exits with 1 on invalid data)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { normalizeSpeciesName, buildSpeciesIndex } = require('./species');
+
+const SCHEMAS_DIR = path.join(__dirname, '..', 'data', 'schemas');
+const COLLECTIONS = ['characters', 'creatures', 'episodes', 'locations', 'quotes'];
+const FIRST_APPEARANCE_COLLECTIONS = ['characters', 'creatures', 'locations'];
+
+// Language of data/*.json; other languages are overlays in data/locales/<code>/
+const DEFAULT_LOCALE = 'en';
+const LOCALE_PATTERN = /^[a-z]{2,3}$/;
+
+/**
+ * JSON Schema of each collection's records, from data/schemas/<collection>.schema.json
+ */
+const DATA_SCHEMAS = Object.fromEntries(COLLECTIONS.map(collection => [
+    collection,
+    JSON.parse(fs.readFileSync(path.join(SCHEMAS_DIR, `${collection}.schema.json`), 'utf8'))
+]));
+
+/**
+ * Fields marked `"x-translatable": true` in the schemas, which locale
+ * overlays (data/locales/<locale>/<collection>.json) may translate
+ */
+const TRANSLATABLE_FIELDS = Object.fromEntries(Object.entries(DATA_SCHEMAS).map(([collection, schema]) => [
+    collection,
+    Object.keys(schema.properties).filter(field => schema.properties[field]['x-translatable'])
+]));
+
+// `nullable`, `example` and `x-` extensions are OpenAPI keywords, so the schemas can be reused in the API docs
+const ajv = new Ajv({ allErrors: true });
+addFormats(ajv, ['date']);
+ajv.addKeyword('example');
+ajv.addKeyword('x-translatable');
+
+const validators = Object.fromEntries(Object.entries(DATA_SCHEMAS).map(([collection, schema]) => [
+    collection,
+    ajv.compile(schema)
+]));
+
+/**
+ * Describe a record in error messages: "characters.json #3 (id 4)"
+ * @param {string} collection - Collection name
+ * @param {number} position - Index in the file
+ * @param {Object} record - The record
+ * @returns {string}
+ */
+const describeRecord = (collection, position, record) => {
+    const id = record && Number.isInteger(record.id) ? ` (id ${record.id})` : '';
+    return `${collection}.json #${position}${id}`;
+};
+
+/**
+ * Check every record against its collection's schema
+ * @param {Object} collections - Collection name => records
+ * @returns {string[]} Error messages
+ */
+const checkSchemas = (collections) => {
+    const errors = [];
+
+    Object.entries(collections).forEach(([collection, records]) => {
+        const validate = validators[collection];
+        if (!validate) return;
+
+        records.forEach((record, position) => {
+            if (validate(record)) return;
+
+            validate.errors.forEach(error => {
+                const field = error.instancePath ? error.instancePath.slice(1).replace(/\//g, '.') : 'record';
+                const detail = error.keyword === 'additionalProperties'
+                    ? `has unknown field "${error.params.additionalProperty}"`
+                    : error.message;
+                errors.push(`${describeRecord(collection, position, record)}: ${field} ${detail}`);
+            });
+        });
+    });
+
+    return errors;
+};
+
+/**
+ * Check that no two records of a collection share an ID
+ * @param {Object} collections - Collection name => records
+ * @returns {string[]} Error messages
+ */
+const checkUniqueIds = (collections) => {
+    const errors = [];
+
+    Object.entries(collections).forEach(([collection, records]) => {
+        const seen = new Map();
+
+        records.forEach((record, position) => {
+            if (!record || !Number.isInteger(record.id)) return;
+
+            if (seen.has(record.id)) {
+                errors.push(`${describeRecord(collection, position, record)}: id ${record.id} is already used by ${collection}.json #${seen.get(record.id)}`);
+            } else {
+                seen.set(record.id, position);
+            }
+        });
+    });
+
+    return errors;
+};
+
+/**
+ * Check the ID references between collections: quote characters and
+ * explicit episode lists
+ * @param {Object} collections - Collection name => records
+ * @returns {string[]} Error messages
+ */
+const checkReferences = (collections) => {
+    const errors = [];
+    const { characters, episodes, quotes } = collections;
+
+    if (quotes && characters) {
+        const characterIds = new Set(characters.map(character => character?.id));
+
+        quotes.forEach((quote, position) => {
+            if (Number.isInteger(quote?.character_id) && !characterIds.has(quote.character_id)) {
+                errors.push(`${describeRecord('quotes', position, quote)}: character_id ${quote.character_id} matches no character`);
+            }
+        });
+    }
+
+    if (episodes) {
+        const episodeIds = new Set(episodes.map(episode => episode?.id));
+
+        FIRST_APPEARANCE_COLLECTIONS.filter(collection => collections[collection]).forEach(collection => {
+            collections[collection].forEach((record, position) => {
+                [].concat(record?.episode_ids || []).forEach(id => {
+                    if (!episodeIds.has(id)) {
+                        errors.push(`${describeRecord(collection, position, record)}: episode_ids contains ${id}, which matches no episode`);
+                    }
+                });
+            });
+        });
+    }
+
+    return errors;
+};
+
+/**
+ * Find free-text references that resolve to nothing: first appearances
+ * that name no episode (served as null) and related species that name no
+ * creature (left out of expand=related_species)
+ * @param {Object} collections - Collection name => records
+ * @returns {string[]} Warning messages
+ */
+const findUnresolvedReferences = (collections) => {
+    const warnings = [];
+    const { creatures, episodes } = collections;
+
+    if (creatures) {
+        const species = buildSpeciesIndex(creatures.filter(creature => typeof creature?.name === 'string'));
+
+        creatures.forEach((creature, position) => {
+            [].concat(creature?.related_species || []).forEach(name => {
+                if (!species.has(normalizeSpeciesName(name))) {
+                    warnings.push(`${describeRecord('creatures', position, creature)}: related_species "${name}" matches no creature name`);
+                }
+            });
+        });
+    }
+
+    if (episodes) {
+        const titles = new Set(episodes.map(episode => String(episode?.title).toLowerCase()));
+
+        FIRST_APPEARANCE_COLLECTIONS.filter(collection => collections[collection]).forEach(collection => {
+            collections[collection].forEach((record, position) => {
+                if (typeof record?.first_appearance === 'string' && !titles.has(record.first_appearance.toLowerCase())) {
+                    warnings.push(`${describeRecord(collection, position, record)}: first_appearance "${record.first_appearance}" matches no episode title`);
+                }
+            });
+        });
+    }
+
+    return warnings;
+};
+
+/**
+ * Check locale overlays: every entry names an existing record once and
+ * only sets translatable fields to non-empty strings
+ * @param {Object} translations - Locale => collection name => overlay entries
+ * @param {Object} collections - Collection name => records
+ * @returns {string[]} Error messages
+ */
+const checkTranslations = (translations, collections) => {
+    const errors = [];
+
+    Object.entries(translations).forEach(([locale, overlays]) => {
+        if (!LOCALE_PATTERN.test(locale) || locale === DEFAULT_LOCALE) {
+            errors.push(`locales/${locale}: must be named after a language code other than ${DEFAULT_LOCALE} (e.g. es)`);
+            return;
+        }
+
+        Object.entries(overlays).forEach(([collection, entries]) => {
+            const file = `locales/${locale}/${collection}`;
+            const ids = new Set((collections[collection] || []).map(record => record?.id));
+            const translatable = TRANSLATABLE_FIELDS[collection] || [];
+            const seen = new Set();
+
+            entries.forEach((entry, position) => {
+                if (!entry || !Number.isInteger(entry.id)) {
+                    errors.push(`${describeRecord(file, position, entry)}: needs the integer id of the record it translates`);
+                    return;
+                }
+                if (!ids.has(entry.id)) {
+                    errors.push(`${describeRecord(file, position, entry)}: id ${entry.id} matches no record in ${collection}.json`);
+                }
+                if (seen.has(entry.id)) {
+                    errors.push(`${describeRecord(file, position, entry)}: id ${entry.id} is translated twice`);
+                }
+                seen.add(entry.id);
+
+                Object.entries(entry).forEach(([field, value]) => {
+                    if (field === 'id') return;
+
+                    if (!translatable.includes(field)) {
+                        errors.push(`${describeRecord(file, position, entry)}: ${field} is not translatable (translatable: ${translatable.join(', ')})`);
+                    } else if (typeof value !== 'string' || value.trim() === '') {
+                        errors.push(`${describeRecord(file, position, entry)}: ${field} must be a non-empty string`);
+                    }
+                });
+            });
+        });
+    });
+
+    return errors;
+};
+
+/**
+ * Validate a whole dataset. Collections without a schema are skipped, and
+ * references are only checked when both collections are present.
+ * @param {Object} collections - Collection name => parsed records
+ * @param {Object} [translations] - Locale => collection name => overlay entries
+ * @returns {string[]} Error messages, empty when the data is valid
+ */
+const validateDataset = (collections, translations = {}) => [
+    ...checkSchemas(collections),
+    ...checkUniqueIds(collections),
+    ...checkReferences(collections),
+    ...checkTranslations(translations, collections)
+];
+
+module.exports = {
+    DEFAULT_LOCALE,
+    DATA_SCHEMAS,
+    TRANSLATABLE_FIELDS,
+    validateDataset,
+    findUnresolvedReferences
+};
+
+if (require.main === module) {
+    const dataDir = path.join(__dirname, '..', 'data');
+    const localesDir = path.join(dataDir, 'locales');
+    const collections = {};
+    const translations = {};
+    const errors = [];
+
+    const readRecords = (file) => {
+        try {
+            const records = JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8'));
+            if (Array.isArray(records)) return records;
+            errors.push(`${file} must contain an array of records`);
+        } catch (error) {
+            errors.push(`${file}: ${error.message}`);
+        }
+        return null;
+    };
+
+    COLLECTIONS.forEach(collection => {
+        const records = readRecords(`${collection}.json`);
+        if (records) collections[collection] = records;
+    });
+
+    const locales = fs.existsSync(localesDir)
+        ? fs.readdirSync(localesDir, { withFileTypes: true }).filter(entry => entry.isDirectory()).map(entry => entry.name)
+        : [];
+
+    locales.forEach(locale => {
+        translations[locale] = {};
+        COLLECTIONS.filter(collection => fs.existsSync(path.join(localesDir, locale, `${collection}.json`))).forEach(collection => {
+            const entries = readRecords(`locales/${locale}/${collection}.json`);
+            if (entries) translations[locale][collection] = entries;
+        });
+    });
+
+    errors.push(...validateDataset(collections, translations));
+    const warnings = findUnresolvedReferences(collections);
+
+    if (errors.length === 0) {
+        const counts = Object.entries(collections).map(([collection, records]) => `${records.length} ${collection}`);
+        const translated = locales.length > 0 ? ` (translations: ${locales.join(', ')})` : '';
+        console.log(`Data is valid: ${counts.join(', ')}${translated}`);
+    } else {
+        console.error(`Found ${errors.length} problem(s) in data/:`);
+        errors.forEach(error => console.error(`  - ${error}`));
+    }
+
+    if (warnings.length > 0) {
+        console.warn(`${warnings.length} unresolved reference(s), which the API serves as null or leaves out:`);
+        warnings.forEach(warning => console.warn(`  - ${warning}`));
+    }
+
+    process.exitCode = errors.length > 0 ? 1 : 0;
+}
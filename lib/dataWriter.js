@@ -0,0 +1,275 @@
+/**
+ * Data Writer for Stranger Things API
+ * Creates, replaces, updates and deletes records in data/*.json. Every
+ * change is checked against the whole dataset (schemas, cross-references
+ * and translations) before anything is written; the files are then
+ * replaced atomically and the store reloaded.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const store = require('./dataStore');
+const { DATA_SCHEMAS, validateDataset } = require('./dataValidation');
+const { assignSlugs } = require('./slugs');
+
+/**
+ * Create an error carrying a code the routes map to a status
+ * @param {string} code - NOT_FOUND, PRECONDITION_REQUIRED, PRECONDITION_FAILED or INVALID_DATA
+ * @param {string} message - Error message
+ * @param {Object} [details] - Extra properties, such as the validation errors
+ * @returns {Error}
+ */
+const writeError = (code, message, details = {}) => Object.assign(new Error(message), { code }, details);
+
+// Highest ID handed out per collection, so IDs of deleted records are never reused
+const LAST_IDS_FILE = 'ids.json';
+
+/**
+ * ETag of a record as stored, for If-Match. Unlike the ETags of API
+ * responses it does not change when other records do.
+ * @param {Object} record - Stored record
+ * @returns {string} Quoted ETag
+ */
+const recordEtag = (record) => `"${crypto.createHash('sha1').update(JSON.stringify(record)).digest('base64url').substring(0, 16)}"`;
+
+/**
+ * Read the data files of every collection and translation as stored
+ * @returns {Object} Path relative to data/ => { collection, locale, raw, records }
+ */
+const readFiles = () => {
+    const files = {};
+
+    store.collections.forEach(collection => {
+        files[`${collection}.json`] = { collection, ...store.readRecords(`${collection}.json`) };
+    });
+
+    store.listLocaleDirs().forEach(locale => store.collections.forEach(collection => {
+        const file = path.join(store.LOCALES_DIR, locale, `${collection}.json`);
+        if (fs.existsSync(path.join(store.dataDir, file))) {
+            files[file] = { collection, locale, ...store.readRecords(file) };
+        }
+    }));
+
+    return files;
+};
+
+/**
+ * Read the highest ID handed out per collection
+ * @returns {Object} { raw, ids } with ids as collection => ID
+ */
+const readLastIds = () => {
+    const file = path.join(store.dataDir, LAST_IDS_FILE);
+    if (!fs.existsSync(file)) return { raw: '', ids: {} };
+
+    const raw = fs.readFileSync(file, 'utf8');
+    return { raw, ids: JSON.parse(raw) };
+};
+
+/**
+ * Validate the dataset with the changed files and write them
+ * @param {Object} files - Result of readFiles with the changes applied
+ * @param {string[]} changed - Paths of the files to write
+ * @param {Object} [extra] - Other files to write with them, path => content
+ * @throws {Error} INVALID_DATA with `errors` when the dataset would fail validation
+ */
+const commit = (files, changed, extra = {}) => {
+    const collections = {};
+    const translations = {};
+
+    Object.values(files).forEach(({ collection, locale, records }) => {
+        if (locale) {
+            translations[locale] = { ...translations[locale], [collection]: records };
+        } else {
+            collections[collection] = records;
+        }
+    });
+
+    const errors = validateDataset(collections, translations);
+    if (errors.length > 0) {
+        throw writeError('INVALID_DATA', 'The change would make the dataset invalid.', { errors });
+    }
+
+    // Files keep their formatting: 4-space indentation and any trailing newline
+    const contents = Object.fromEntries(changed.map(file => [
+        file,
+        JSON.stringify(files[file].records, null, 4) + (files[file].raw.endsWith('\n') ? '\n' : '')
+    ]));
+    Object.assign(contents, extra);
+
+    if (!store.writeFiles(contents)) {
+        throw new Error(`Data written, but reloading it failed: ${store.lastError?.message}`);
+    }
+};
+
+/**
+ * Find the position of a stored record and check If-Match against it
+ * @param {Array} records - Stored records of the collection
+ * @param {string} collection - Collection name
+ * @param {number} id - Record ID
+ * @param {string} [ifMatch] - If-Match header: ETags or `*`
+ * @returns {number} Position of the record
+ */
+const findForWrite = (records, collection, id, ifMatch) => {
+    const position = records.findIndex(record => record.id === id);
+    if (position === -1) throw writeError('NOT_FOUND', `No ${collection} record with ID ${id}`);
+
+    if (ifMatch === undefined) {
+        throw writeError('PRECONDITION_REQUIRED', 'Send the ETag of the record in If-Match to change it.');
+    }
+
+    const tags = ifMatch.split(',').map(tag => tag.trim());
+    if (!tags.includes('*') && !tags.includes(recordEtag(records[position]))) {
+        throw writeError('PRECONDITION_FAILED', `${collection} record ${id} has changed since it was read.`, {
+            etag: recordEtag(records[position])
+        });
+    }
+
+    return position;
+};
+
+/**
+ * Put the fields of a record in the order of its schema, so written
+ * records look like the rest of the file
+ * @param {string} collection - Collection name
+ * @param {Object} record - Record
+ * @returns {Object} Reordered record
+ */
+const orderFields = (collection, record) => Object.fromEntries(
+    Object.keys(DATA_SCHEMAS[collection].properties)
+        .filter(field => record[field] !== undefined)
+        .map(field => [field, record[field]])
+);
+
+/**
+ * Keep links to a renamed record working: if its slug changes, the old
+ * slug is added to `previous_slugs`, which redirects to the new one
+ * @param {string} collection - Collection name
+ * @param {Array} before - Stored records before the change
+ * @param {Array} after - Stored records after the change (modified in place)
+ * @param {number} position - Position of the changed record
+ */
+const keepPreviousSlug = (collection, before, after, position) => {
+    const oldSlug = assignSlugs(collection, before)[position].slug;
+    const newSlug = assignSlugs(collection, after)[position].slug;
+    const record = after[position];
+
+    if (oldSlug !== newSlug && !(record.previous_slugs || []).includes(oldSlug)) {
+        const previousSlugs = (record.previous_slugs || []).filter(slug => slug !== newSlug);
+        after[position] = orderFields(collection, { ...record, previous_slugs: [...previousSlugs, oldSlug] });
+    }
+};
+
+/**
+ * Get a record as stored
+ * @param {string} collection - Collection name
+ * @param {number} id - Record ID
+ * @returns {Object|null} { record, etag }, or null for unknown IDs
+ */
+const getRecord = (collection, id) => {
+    const record = store.readRecords(`${collection}.json`).records.find(candidate => candidate.id === id);
+    return record ? { record, etag: recordEtag(record) } : null;
+};
+
+/**
+ * Add a record with the next ID never used in the collection. The ID is
+ * recorded in data/ids.json, written together with the record.
+ * @param {string} collection - Collection name
+ * @param {Object} fields - Every field but the ID
+ * @returns {Object} { record, etag }
+ */
+const createRecord = (collection, fields) => {
+    const files = readFiles();
+    const file = files[`${collection}.json`];
+    const lastIds = readLastIds();
+    const id = Math.max(lastIds.ids[collection] || 0, ...file.records.map(record => record.id)) + 1;
+    const record = orderFields(collection, { ...fields, id });
+
+    file.records = [...file.records, record];
+    commit(files, [`${collection}.json`], {
+        [LAST_IDS_FILE]: JSON.stringify({ ...lastIds.ids, [collection]: id }, null, 4) + '\n'
+    });
+
+    return { record, etag: recordEtag(record) };
+};
+
+/**
+ * Replace a stored record with the result of a function of it
+ * @param {string} collection - Collection name
+ * @param {number} id - Record ID
+ * @param {string} [ifMatch] - If-Match header
+ * @param {Function} change - (record) => new record
+ * @returns {Object} { record, etag }
+ */
+const changeRecord = (collection, id, ifMatch, change) => {
+    const files = readFiles();
+    const file = files[`${collection}.json`];
+    const position = findForWrite(file.records, collection, id, ifMatch);
+    const before = file.records;
+
+    file.records = [...before];
+    file.records[position] = orderFields(collection, change(before[position]));
+    keepPreviousSlug(collection, before, file.records, position);
+    commit(files, [`${collection}.json`]);
+
+    const record = file.records[position];
+    return { record, etag: recordEtag(record) };
+};
+
+/**
+ * Replace every field of a record
+ * @param {string} collection - Collection name
+ * @param {number} id - Record ID
+ * @param {Object} fields - Every field but the ID
+ * @param {string} [ifMatch] - If-Match header
+ * @returns {Object} { record, etag }
+ */
+const replaceRecord = (collection, id, fields, ifMatch) => {
+    return changeRecord(collection, id, ifMatch, () => ({ ...fields, id }));
+};
+
+/**
+ * Change some fields of a record (a shallow merge; null sets a field to null)
+ * @param {string} collection - Collection name
+ * @param {number} id - Record ID
+ * @param {Object} fields - Fields to change
+ * @param {string} [ifMatch] - If-Match header
+ * @returns {Object} { record, etag }
+ */
+const updateRecord = (collection, id, fields, ifMatch) => {
+    return changeRecord(collection, id, ifMatch, record => ({ ...record, ...fields, id }));
+};
+
+/**
+ * Delete a record and its translations
+ * @param {string} collection - Collection name
+ * @param {number} id - Record ID
+ * @param {string} [ifMatch] - If-Match header
+ * @throws {Error} INVALID_DATA when other records still refer to it
+ */
+const deleteRecord = (collection, id, ifMatch) => {
+    const files = readFiles();
+    const changed = [`${collection}.json`];
+    const file = files[`${collection}.json`];
+
+    findForWrite(file.records, collection, id, ifMatch);
+    file.records = file.records.filter(record => record.id !== id);
+
+    Object.entries(files)
+        .filter(([, { locale, collection: name, records }]) => locale && name === collection && records.some(entry => entry.id === id))
+        .forEach(([overlayFile, overlay]) => {
+            overlay.records = overlay.records.filter(entry => entry.id !== id);
+            changed.push(overlayFile);
+        });
+
+    commit(files, changed);
+};
+
+module.exports = {
+    recordEtag,
+    getRecord,
+    createRecord,
+    replaceRecord,
+    updateRecord,
+    deleteRecord
+};
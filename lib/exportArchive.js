@@ -0,0 +1,160 @@
+/**
+ * Dataset Export for Stranger Things API
+ * Packs every collection (and optionally the referenced images) into a
+ * .tar.gz or .zip archive with a manifest of counts and SHA-256 checksums.
+ * Archives are streamed to a disk cache and served from there.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const archiver = require('archiver');
+const store = require('./dataStore');
+const { getImageReferences, resolveAssetFile } = require('./assetIntegrity');
+
+const CACHE_DIR = process.env.EXPORT_CACHE_DIR
+    ? path.resolve(process.env.EXPORT_CACHE_DIR)
+    : path.join(__dirname, '..', '.cache', 'exports');
+
+const ARCHIVE_FORMATS = {
+    'tar.gz': { type: 'tar', options: { gzip: true, gzipOptions: { level: 9 } }, contentType: 'application/gzip' },
+    zip: { type: 'zip', options: { zlib: { level: 9 } }, contentType: 'application/zip' }
+};
+
+const sha256 = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+/**
+ * SHA-256 checksum of a file, read as a stream
+ * @param {string} file - File path
+ * @returns {Promise<string>} Hex digest
+ */
+const sha256File = async (file) => {
+    const hash = crypto.createHash('sha256');
+    await pipeline(fs.createReadStream(file), hash);
+    return hash.digest('hex');
+};
+
+/**
+ * Find the image files referenced by the dataset
+ * @returns {Object} { files: [{ name, path }], missing: [url] }
+ */
+const collectImages = () => {
+    const files = [];
+    const missing = [];
+
+    [...getImageReferences().keys()].sort().forEach(url => {
+        const file = resolveAssetFile(url);
+
+        if (file && fs.existsSync(file)) {
+            files.push({ name: url.slice(1), path: file });
+        } else {
+            missing.push(url);
+        }
+    });
+
+    return { files, missing };
+};
+
+/**
+ * Stream an export archive of a snapshot to a file. Images are added as
+ * file streams, so no more than a chunk of each is held in memory.
+ * @param {Object} snapshot - Data store snapshot
+ * @param {string} format - Key of ARCHIVE_FORMATS
+ * @param {boolean} includeImages - Whether to add the referenced images
+ * @param {string} target - Path of the archive
+ * @returns {Promise<string>} The path of the archive
+ */
+const buildArchive = async (snapshot, format, includeImages, target) => {
+    const { type, options } = ARCHIVE_FORMATS[format];
+    const root = `stranger-things-api-${snapshot.version}`;
+    const date = new Date(snapshot.lastModified);
+    const archive = archiver(type, options);
+    const manifest = {
+        name: 'Stranger Things API dataset',
+        dataset_version: snapshot.version,
+        generated_at: new Date().toISOString(),
+        last_modified: snapshot.lastModified,
+        collections: {},
+        images: null
+    };
+
+    // Write next to the target and rename, so readers never see half a file
+    await fs.promises.mkdir(CACHE_DIR, { recursive: true });
+    const temp = `${target}.${process.pid}.tmp`;
+    const written = pipeline(archive, fs.createWriteStream(temp));
+    // Building the manifest can fail before the archive is finalized
+    written.catch(() => {});
+
+    Object.entries(snapshot.collections).forEach(([name, records]) => {
+        const content = Buffer.from(`${JSON.stringify(records, null, 2)}\n`);
+        const file = `data/${name}.json`;
+
+        manifest.collections[name] = { file, records: records.length, bytes: content.length, sha256: sha256(content) };
+        archive.append(content, { name: `${root}/${file}`, date });
+    });
+
+    try {
+        if (includeImages) {
+            const { files, missing } = collectImages();
+            manifest.images = { files: [], missing };
+
+            for (const image of files) {
+                const { size } = await fs.promises.stat(image.path);
+                manifest.images.files.push({ file: image.name, bytes: size, sha256: await sha256File(image.path) });
+                archive.append(fs.createReadStream(image.path), { name: `${root}/${image.name}`, date });
+            }
+        }
+
+        archive.append(`${JSON.stringify(manifest, null, 2)}\n`, { name: `${root}/manifest.json`, date });
+        archive.finalize();
+        await written;
+        await fs.promises.rename(temp, target);
+    } catch (error) {
+        archive.abort();
+        await fs.promises.rm(temp, { force: true });
+        throw error;
+    }
+
+    return target;
+};
+
+/**
+ * Delete the archives of other dataset versions from the disk cache
+ * @param {string} version - Current dataset version
+ */
+const removeStaleArchives = async (version) => {
+    const names = await fs.promises.readdir(CACHE_DIR).catch(() => []);
+
+    await Promise.all(names
+        .filter(name => !name.startsWith(`stranger-things-api-${version}`))
+        .map(name => fs.promises.rm(path.join(CACHE_DIR, name), { force: true })));
+};
+
+/**
+ * Get the export archive of the current dataset. Archives are built once
+ * per dataset version and reused until the data changes, also across
+ * restarts; a failed build (such as an unreadable image) is not cached,
+ * so the next request retries.
+ * @param {string} format - Key of ARCHIVE_FORMATS
+ * @param {boolean} includeImages - Whether to add the referenced images
+ * @returns {Promise<string>} Path of the archive
+ */
+const getExportArchive = (format, includeImages) => {
+    const key = `export:${format}:${includeImages}`;
+
+    return store.derive(key, snapshot => {
+        const target = path.join(CACHE_DIR, `stranger-things-api-${snapshot.version}${includeImages ? '-images' : ''}.${format}`);
+        const archive = fs.existsSync(target)
+            ? Promise.resolve(target)
+            : removeStaleArchives(snapshot.version).then(() => buildArchive(snapshot, format, includeImages, target));
+
+        archive.catch(() => store.forget(key, archive));
+        return archive;
+    });
+};
+
+module.exports = {
+    ARCHIVE_FORMATS,
+    getExportArchive
+};
@@ -0,0 +1,124 @@
+/**
+ * Sparse Fieldsets for Stranger Things API
+ * Parses, validates and applies the `fields` query parameter
+ */
+
+const swaggerSpec = require('../config/swagger');
+const { RESOURCES } = require('./resources');
+
+const { schemas } = swaggerSpec.components;
+
+/**
+ * Parse a fields parameter such as "id,name,first_appearance.title"
+ * @param {string|string[]} fieldsParam - Comma-separated field paths
+ * @returns {string[]} Field paths, empty when not requested
+ */
+const parseFields = (fieldsParam) => {
+    if (!fieldsParam) return [];
+
+    return [].concat(fieldsParam)
+        .join(',')
+        .split(',')
+        .map(field => field.trim())
+        .filter(Boolean);
+};
+
+/**
+ * Follow $ref, allOf and array items down to the schema describing a value.
+ * For oneOf (expandable fields) the first object alternative wins.
+ * @param {Object} property - OpenAPI property schema
+ * @returns {Object} The resolved schema
+ */
+const resolveSchema = (property) => {
+    if (property.oneOf) {
+        const alternatives = property.oneOf.map(resolveSchema);
+        return alternatives.find(alternative => alternative.properties) || alternatives[0];
+    }
+
+    const ref = property.$ref || property.allOf?.[0]?.$ref;
+    if (ref) return schemas[ref.split('/').pop()];
+    if (property.type === 'array' && property.items) return resolveSchema(property.items);
+    return property;
+};
+
+/**
+ * Check a dotted field path against a collection's schema
+ * @param {string} fieldPath - e.g. "first_appearance.title"
+ * @param {string} collection - Collection name
+ * @returns {boolean} Whether the path exists
+ */
+const isValidFieldPath = (fieldPath, collection) => {
+    let schema = schemas[RESOURCES[collection].schema];
+
+    return fieldPath.split('.').every(segment => {
+        const property = schema?.properties?.[segment];
+        if (!property) return false;
+        schema = resolveSchema(property);
+        return true;
+    });
+};
+
+/**
+ * Top-level field names of a collection, for error messages
+ * @param {string} collection - Collection name
+ * @returns {string[]} Field names
+ */
+const getFieldNames = (collection) => Object.keys(schemas[RESOURCES[collection].schema].properties);
+
+/**
+ * Turn field paths into a tree: ["id", "a.b"] => { id: true, a: { b: true } }
+ * @param {string[]} fields - Field paths
+ * @returns {Object} Field tree
+ */
+const toFieldTree = (fields) => {
+    const tree = {};
+
+    fields.forEach(fieldPath => {
+        const segments = fieldPath.split('.');
+        let node = tree;
+
+        segments.forEach((segment, index) => {
+            if (node[segment] === true) return;
+            if (index === segments.length - 1) {
+                node[segment] = true;
+            } else {
+                node[segment] = node[segment] || {};
+                node = node[segment];
+            }
+        });
+    });
+
+    return tree;
+};
+
+/**
+ * Keep only the fields of a tree; arrays are picked item by item
+ */
+const applyFieldTree = (value, tree) => {
+    if (tree === true || value === null || typeof value !== 'object') return value;
+    if (Array.isArray(value)) return value.map(item => applyFieldTree(item, tree));
+
+    const picked = {};
+    Object.entries(tree).forEach(([key, subtree]) => {
+        if (key in value) picked[key] = applyFieldTree(value[key], subtree);
+    });
+    return picked;
+};
+
+/**
+ * Keep only the requested fields of a record
+ * @param {Object} record - Serialized record
+ * @param {string[]} fields - Field paths; empty keeps everything
+ * @returns {Object} The sparse record
+ */
+const pickFields = (record, fields) => {
+    if (!fields || fields.length === 0) return record;
+    return applyFieldTree(record, toFieldTree(fields));
+};
+
+module.exports = {
+    parseFields,
+    isValidFieldPath,
+    getFieldNames,
+    pickFields
+};
@@ -0,0 +1,146 @@
+/**
+ * Output Formats for Stranger Things API
+ * Encoders for the non-JSON representations of list and detail responses
+ */
+
+const yaml = require('js-yaml');
+
+/**
+ * Supported formats: `?format=` value => media types, preferred type first
+ */
+const FORMATS = {
+    json: ['application/json'],
+    csv: ['text/csv'],
+    ndjson: ['application/x-ndjson'],
+    yaml: ['application/yaml', 'text/yaml', 'application/x-yaml'],
+    xml: ['application/xml', 'text/xml']
+};
+
+// CSV: values of array fields are joined with this separator
+const CSV_ARRAY_SEPARATOR = '; ';
+
+/**
+ * Flatten a record into CSV cells. Nested objects become dotted columns
+ * (`first_appearance.title`), arrays of scalars are joined with "; ",
+ * arrays of objects are written as JSON and null becomes an empty cell.
+ * @param {Object} record - Serialized record
+ * @param {string} [prefix] - Column prefix for nested objects
+ * @param {Object} [cells] - Accumulator
+ * @returns {Object} Column => cell value
+ */
+const flattenRecord = (record, prefix = '', cells = {}) => {
+    Object.entries(record).forEach(([key, value]) => {
+        const column = prefix + key;
+
+        if (Array.isArray(value)) {
+            cells[column] = value.some(item => item !== null && typeof item === 'object')
+                ? JSON.stringify(value)
+                : value.join(CSV_ARRAY_SEPARATOR);
+        } else if (value !== null && typeof value === 'object') {
+            flattenRecord(value, `${column}.`, cells);
+        } else {
+            cells[column] = value;
+        }
+    });
+
+    return cells;
+};
+
+/**
+ * Quote a CSV cell (RFC 4180). Text starting with =, +, - or @ is prefixed
+ * with an apostrophe so spreadsheets do not run it as a formula.
+ * @param {*} value - Cell value
+ * @returns {string} Encoded cell
+ */
+const toCsvCell = (value) => {
+    if (value === null || value === undefined) return '';
+
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Encode records as CSV with a header row. Columns are the union of all
+ * record columns, in order of first appearance.
+ * @param {Array} records - Serialized records
+ * @returns {string} CSV document
+ */
+const toCsv = (records) => {
+    const rows = records.map(record => flattenRecord(record));
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    const lines = [columns.map(toCsvCell), ...rows.map(row => columns.map(column => toCsvCell(row[column])))];
+
+    return lines.map(cells => cells.join(',')).join('\r\n') + '\r\n';
+};
+
+/**
+ * Encode records as newline-delimited JSON, one record per line
+ * @param {Array} records - Serialized records
+ * @returns {string} NDJSON document
+ */
+const toNdjson = (records) => records.map(record => `${JSON.stringify(record)}\n`).join('');
+
+/**
+ * Encode a record or list of records as YAML
+ * @param {Object|Array} data - Serialized record(s)
+ * @returns {string} YAML document
+ */
+const toYaml = (data) => yaml.dump(data, { noRefs: true, lineWidth: -1 });
+
+/**
+ * Escape text for XML content
+ * @param {*} value - Any scalar
+ * @returns {string} Escaped text
+ */
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+/**
+ * Encode a value as an XML element. Array items become <item> children
+ * (or `itemName`) and null becomes an empty element.
+ * @param {string} name - Element name
+ * @param {*} value - Value to encode
+ * @param {string} indent - Current indentation
+ * @param {string} [itemName] - Element name for array items
+ * @returns {string} XML fragment
+ */
+const toXmlElement = (name, value, indent, itemName = 'item') => {
+    if (value === null || value === undefined) return `${indent}<${name}/>`;
+
+    if (typeof value === 'object') {
+        const children = Array.isArray(value)
+            ? value.map(item => toXmlElement(itemName, item, `${indent}  `))
+            : Object.entries(value).map(([key, child]) => toXmlElement(key, child, `${indent}  `));
+
+        if (children.length === 0) return `${indent}<${name}/>`;
+        return `${indent}<${name}>\n${children.join('\n')}\n${indent}</${name}>`;
+    }
+
+    return `${indent}<${name}>${escapeXml(value)}</${name}>`;
+};
+
+/**
+ * Encode a record or list of records as XML
+ * @param {Object|Array} data - Serialized record(s)
+ * @param {string} rootName - Root element (e.g. "characters" or "character")
+ * @param {string} itemName - Element for each record of a list (e.g. "character")
+ * @returns {string} XML document
+ */
+const toXml = (data, rootName, itemName) => {
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${toXmlElement(rootName, data, '', itemName)}\n`;
+};
+
+module.exports = {
+    FORMATS,
+    CSV_ARRAY_SEPARATOR,
+    toCsv,
+    toNdjson,
+    toYaml,
+    toXml
+};
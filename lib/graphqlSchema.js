@@ -0,0 +1,369 @@
+/**
+ * GraphQL Schema for Stranger Things API
+ * Object types are generated from the OpenAPI component schemas so both
+ * APIs describe the same records; relations are resolved from the data store
+ */
+
+const {
+    GraphQLSchema,
+    GraphQLObjectType,
+    GraphQLList,
+    GraphQLNonNull,
+    GraphQLInt,
+    GraphQLFloat,
+    GraphQLString,
+    GraphQLBoolean,
+    GraphQLError,
+    Kind,
+    getNamedType,
+    getNullableType,
+    isListType
+} = require('graphql');
+
+const swaggerSpec = require('../config/swagger');
+const store = require('./dataStore');
+const appearances = require('./appearances');
+const { serialize, serializeMany } = require('./serializers');
+const { paginate, filterByField, parseSort, sortRecords } = require('./query');
+const { RESOURCES, getSortableFields } = require('./resources');
+
+const MAX_DEPTH = 6;
+const MAX_COMPLEXITY = 2000;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const RELATION_LIST_SIZE = 10;
+
+const SCALARS = {
+    integer: GraphQLInt,
+    number: GraphQLFloat,
+    string: GraphQLString,
+    boolean: GraphQLBoolean
+};
+
+const schemas = swaggerSpec.components.schemas;
+const types = {};
+
+/**
+ * Map an OpenAPI property to a GraphQL output type
+ * @param {Object} property - OpenAPI property schema
+ * @returns {GraphQLOutputType} The GraphQL type
+ */
+const toGraphQLType = (property) => {
+    // Expandable fields: GraphQL exposes relations separately, so use the plain form
+    if (property.oneOf) return toGraphQLType(property.oneOf[0]);
+
+    const ref = property.$ref || property.allOf?.[0]?.$ref;
+    if (ref) return types[ref.split('/').pop()];
+    if (property.type === 'array') return new GraphQLList(toGraphQLType(property.items || {}));
+    return SCALARS[property.type] || GraphQLString;
+};
+
+/**
+ * Build GraphQL fields from OpenAPI properties
+ * @param {Object} properties - OpenAPI properties
+ * @returns {Object} GraphQL field config map
+ */
+const toGraphQLFields = (properties) => {
+    const fields = {};
+
+    Object.entries(properties).forEach(([name, property]) => {
+        fields[name] = { type: toGraphQLType(property), description: property.description };
+    });
+
+    return fields;
+};
+
+/**
+ * Relation fields that replace or extend the plain record fields
+ */
+const relations = {
+    Character: () => ({
+        quotes: {
+            type: new GraphQLList(types.Quote),
+            description: 'Quotes said by the character',
+            resolve: (character, args, context) => serializeMany('quotes', store.all('quotes').filter(q => q.character_id === character.id), context)
+        },
+        episodes: {
+            type: new GraphQLList(types.Episode),
+            description: 'Episodes the character appears in',
+            resolve: (character, args, context) => serializeMany('episodes', appearances.episodesFor('characters', character.id), context)
+        },
+        episodes_approximate: {
+            type: GraphQLBoolean,
+            description: 'Whether `episodes` is estimated from the seasons and first appearance, for lack of `episode_ids`',
+            resolve: character => appearances.isApproximate('characters', character.id)
+        }
+    }),
+    Creature: () => ({
+        episodes: {
+            type: new GraphQLList(types.Episode),
+            description: 'Episodes the creature appears in',
+            resolve: (creature, args, context) => serializeMany('episodes', appearances.episodesFor('creatures', creature.id), context)
+        },
+        episodes_approximate: {
+            type: GraphQLBoolean,
+            description: 'Whether `episodes` is estimated from the seasons and first appearance, for lack of `episode_ids`',
+            resolve: creature => appearances.isApproximate('creatures', creature.id)
+        }
+    }),
+    Episode: () => ({
+        characters: {
+            type: new GraphQLList(types.Character),
+            description: 'Characters appearing in the episode',
+            resolve: (episode, args, context) => serializeMany('characters', appearances.appearingIn(episode.id, 'characters'), context)
+        },
+        creatures: {
+            type: new GraphQLList(types.Creature),
+            description: 'Creatures appearing in the episode',
+            resolve: (episode, args, context) => serializeMany('creatures', appearances.appearingIn(episode.id, 'creatures'), context)
+        },
+        locations: {
+            type: new GraphQLList(types.Location),
+            description: 'Locations appearing in the episode',
+            resolve: (episode, args, context) => serializeMany('locations', appearances.appearingIn(episode.id, 'locations'), context)
+        },
+        appearances_approximate: {
+            type: GraphQLBoolean,
+            description: 'Whether `characters`, `creatures` and `locations` are estimated, because some of those records have no `episode_ids`',
+            resolve: () => appearances.APPEARING_COLLECTIONS.some(collection => appearances.isApproximateIn(collection))
+        }
+    }),
+    Location: () => ({
+        episodes: {
+            type: new GraphQLList(types.Episode),
+            description: 'Episodes the location appears in',
+            resolve: (location, args, context) => serializeMany('episodes', appearances.episodesFor('locations', location.id), context)
+        },
+        episodes_approximate: {
+            type: GraphQLBoolean,
+            description: 'Whether `episodes` is estimated from the seasons and first appearance, for lack of `episode_ids`',
+            resolve: location => appearances.isApproximate('locations', location.id)
+        }
+    }),
+    Quote: () => ({
+        character: {
+            type: types.Character,
+            description: 'Character who said the quote',
+            resolve: (quote, args, context) => {
+                const character = store.findById('characters', quote.character_id);
+                return character ? serialize('characters', character, context) : null;
+            }
+        }
+    })
+};
+
+Object.values(RESOURCES).forEach(({ schema: typeName }) => {
+    types[typeName] = new GraphQLObjectType({
+        name: typeName,
+        fields: () => ({
+            ...toGraphQLFields(schemas[typeName].properties),
+            ...relations[typeName]()
+        })
+    });
+});
+
+types.Image = new GraphQLObjectType({
+    name: 'Image',
+    description: schemas.Image.description,
+    fields: () => toGraphQLFields(schemas.Image.properties)
+});
+
+types.PageInfo = new GraphQLObjectType({
+    name: 'PageInfo',
+    fields: () => toGraphQLFields(schemas.PaginatedResponse.properties.info.properties)
+});
+
+/**
+ * Filter arguments for a list query: every scalar (or list of scalars)
+ * field except the ID, typed like the field itself
+ * @param {string} typeName - Component schema name
+ * @returns {Object} GraphQL argument config map
+ */
+const filterArgs = (typeName) => {
+    const args = {};
+
+    Object.entries(schemas[typeName].properties).forEach(([name, schema]) => {
+        const property = schema.oneOf ? schema.oneOf[0] : schema;
+        const scalar = property.type === 'array' ? property.items?.type : property.type;
+        if (name === 'id' || !SCALARS[scalar]) return;
+        args[name] = { type: SCALARS[scalar], description: `Filter by ${name}` };
+    });
+
+    return args;
+};
+
+/**
+ * Validate pagination arguments the same way the REST routes do
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @throws {GraphQLError} If either is out of range
+ */
+const validatePageArgs = (page, limit) => {
+    if (page < 1) {
+        throw new GraphQLError('Invalid page parameter. Must be a positive integer.');
+    }
+    if (limit < 1 || limit > MAX_LIMIT) {
+        throw new GraphQLError(`Invalid limit parameter. Must be between 1 and ${MAX_LIMIT}.`);
+    }
+};
+
+const queryFields = {};
+
+Object.entries(RESOURCES).forEach(([collection, { schema: typeName, singular }]) => {
+    const pageType = new GraphQLObjectType({
+        name: `${typeName}Page`,
+        fields: {
+            info: { type: types.PageInfo },
+            results: { type: new GraphQLList(types[typeName]) }
+        }
+    });
+
+    queryFields[collection] = {
+        type: pageType,
+        description: `Paginated list of ${collection}, filtered like GET /api/${collection}`,
+        args: {
+            page: { type: GraphQLInt, defaultValue: 1 },
+            limit: { type: GraphQLInt, defaultValue: DEFAULT_LIMIT },
+            sort: { type: GraphQLString, description: 'Comma-separated sort fields, "-" prefix for descending' },
+            ...filterArgs(typeName)
+        },
+        resolve: (root, args, context) => {
+            const { page, limit, sort: sortParam, ...filters } = args;
+            validatePageArgs(page, limit);
+
+            const sort = parseSort(sortParam);
+            const sortableFields = getSortableFields(collection);
+            const unknownFields = sort.map(({ field }) => field).filter(field => !sortableFields.includes(field));
+            if (unknownFields.length > 0) {
+                throw new GraphQLError(
+                    `Invalid sort field(s): ${unknownFields.join(', ')}. Sortable fields: ${sortableFields.join(', ')}.`
+                );
+            }
+
+            const query = {};
+            Object.entries(filters).forEach(([key, value]) => {
+                query[key] = String(value);
+            });
+
+            const filtered = filterByField(store.all(collection, context.locale), query, collection);
+            const result = paginate(sortRecords(filtered, sort, collection), page, limit);
+            result.results = serializeMany(collection, result.results, context);
+            return result;
+        }
+    };
+
+    queryFields[singular] = {
+        type: types[typeName],
+        description: `A single ${singular} by ID`,
+        args: { id: { type: new GraphQLNonNull(GraphQLInt) } },
+        resolve: (root, { id }, context) => {
+            const record = store.findById(collection, id);
+            return record ? serialize(collection, record, context) : null;
+        }
+    };
+});
+
+const schema = new GraphQLSchema({
+    query: new GraphQLObjectType({
+        name: 'Query',
+        fields: queryFields
+    })
+});
+
+// ==================== QUERY LIMITS ====================
+
+/**
+ * Measure depth and estimated cost of a selection set.
+ * Fields taking a `limit` argument multiply their children by it; other
+ * list fields (relations) by RELATION_LIST_SIZE.
+ * @returns {Object} { depth, cost }
+ */
+const measure = (selectionSet, parentType, context, depth, visited) => {
+    let maxDepth = depth;
+    let cost = 0;
+
+    selectionSet.selections.forEach(selection => {
+        if (selection.kind === Kind.FIELD) {
+            const field = parentType.getFields?.()[selection.name.value];
+            if (!field || selection.name.value.startsWith('__')) return;
+
+            let childCost = 0;
+            if (selection.selectionSet) {
+                const child = measure(selection.selectionSet, getNamedType(field.type), context, depth + 1, visited);
+                maxDepth = Math.max(maxDepth, child.depth);
+                childCost = child.cost;
+            }
+
+            cost += 1 + listSize(selection, field, parentType) * childCost;
+            return;
+        }
+
+        let fragment = selection;
+        if (selection.kind === Kind.FRAGMENT_SPREAD) {
+            const name = selection.name.value;
+            fragment = context.getFragment(name);
+            if (!fragment || visited.has(name)) return;
+            visited = new Set(visited).add(name);
+        }
+
+        const fragmentType = fragment.typeCondition
+            ? context.getSchema().getType(fragment.typeCondition.name.value)
+            : parentType;
+        if (!fragmentType) return;
+
+        const child = measure(fragment.selectionSet, fragmentType, context, depth, visited);
+        maxDepth = Math.max(maxDepth, child.depth);
+        cost += child.cost;
+    });
+
+    return { depth: maxDepth, cost };
+};
+
+/**
+ * Expected number of items a field returns
+ */
+const listSize = (selection, field, parentType) => {
+    if (field.args.some(arg => arg.name === 'limit')) {
+        const limitArg = selection.arguments.find(arg => arg.name.value === 'limit');
+        if (!limitArg) return DEFAULT_LIMIT;
+        return limitArg.value.kind === Kind.INT ? parseInt(limitArg.value.value) : MAX_LIMIT;
+    }
+
+    const isPageResults = parentType.name.endsWith('Page');
+    return isListType(getNullableType(field.type)) && !isPageResults ? RELATION_LIST_SIZE : 1;
+};
+
+/**
+ * Validation rule rejecting operations that are too deep or too expensive
+ * @param {ValidationContext} context - GraphQL validation context
+ * @returns {Object} AST visitor
+ */
+const queryLimitsRule = (context) => ({
+    OperationDefinition(node) {
+        const rootType = context.getSchema().getRootType(node.operation);
+        if (!rootType) return;
+
+        const { depth, cost } = measure(node.selectionSet, rootType, context, 0, new Set());
+
+        if (depth > MAX_DEPTH) {
+            context.reportError(new GraphQLError(
+                `Query depth ${depth} exceeds the maximum of ${MAX_DEPTH}.`,
+                { nodes: [node] }
+            ));
+        }
+
+        if (cost > MAX_COMPLEXITY) {
+            context.reportError(new GraphQLError(
+                `Query complexity ${cost} exceeds the maximum of ${MAX_COMPLEXITY}.`,
+                { nodes: [node] }
+            ));
+        }
+    }
+});
+
+module.exports = {
+    schema,
+    validationRules: [queryLimitsRule],
+    MAX_DEPTH,
+    MAX_COMPLEXITY
+};
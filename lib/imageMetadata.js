@@ -0,0 +1,132 @@
+/**
+ * Image Metadata for Stranger Things API
+ * Width, height, dominant colour and a blurhash placeholder for every image
+ * in public/images, so clients can reserve space and paint a preview
+ * before the image loads
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { encode } = require('blurhash');
+const { CACHE_DIR } = require('./imageTransform');
+
+const IMAGES_DIR = path.join(__dirname, '..', 'public', 'images');
+const METADATA_FILE = path.join(CACHE_DIR, 'metadata.json');
+const IMAGE_EXTENSIONS = ['.webp', '.png', '.jpg', '.jpeg'];
+
+// Blurhash detail (components per axis) and the size images are shrunk to first
+const BLURHASH_COMPONENTS = { x: 4, y: 3 };
+const BLURHASH_SAMPLE_SIZE = 32;
+
+// URL path ("/images/characters/eleven.webp") => { width, height, blurhash, color, mtimeMs, size }
+let metadata = new Map();
+
+/**
+ * List the image files below a directory
+ * @param {string} dir - Directory to walk
+ * @returns {Promise<string[]>} Absolute file paths
+ */
+const listImages = async (dir) => {
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    const nested = await Promise.all(entries.map(entry => {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) return listImages(file);
+        return IMAGE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()) ? [file] : [];
+    }));
+
+    return nested.flat();
+};
+
+const toHex = ({ r, g, b }) => `#${[r, g, b].map(c => c.toString(16).padStart(2, '0')).join('')}`;
+
+/**
+ * Measure one image
+ * @param {string} file - Image file
+ * @returns {Promise<Object>} { width, height, blurhash, color }
+ */
+const analyzeImage = async (file) => {
+    const { width, height } = await sharp(file).metadata();
+    const { dominant } = await sharp(file).stats();
+    const { data, info } = await sharp(file)
+        .resize(BLURHASH_SAMPLE_SIZE, BLURHASH_SAMPLE_SIZE, { fit: 'inside' })
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    return {
+        width,
+        height,
+        blurhash: encode(new Uint8ClampedArray(data), info.width, info.height, BLURHASH_COMPONENTS.x, BLURHASH_COMPONENTS.y),
+        color: toHex(dominant)
+    };
+};
+
+/**
+ * Read the metadata of every image. Results are kept in a cache file and
+ * only new or changed images (by mtime and size) are analyzed again.
+ * @returns {Promise<number>} Number of images described
+ */
+const loadImageMetadata = async () => {
+    let cached = {};
+    try {
+        cached = JSON.parse(await fs.promises.readFile(METADATA_FILE, 'utf8'));
+    } catch {
+        // No cache yet, or an unreadable one: analyze everything
+    }
+
+    const next = new Map();
+    let changed = false;
+
+    for (const file of await listImages(IMAGES_DIR)) {
+        const url = `/images/${path.relative(IMAGES_DIR, file).split(path.sep).join('/')}`;
+        const { mtimeMs, size } = await fs.promises.stat(file);
+        const entry = cached[url];
+
+        if (entry && entry.mtimeMs === mtimeMs && entry.size === size) {
+            next.set(url, entry);
+            continue;
+        }
+
+        try {
+            next.set(url, { ...await analyzeImage(file), mtimeMs, size });
+            changed = true;
+        } catch (error) {
+            console.error(`Error reading image ${url}:`, error.message);
+        }
+    }
+
+    if (changed || next.size !== Object.keys(cached).length) {
+        await fs.promises.mkdir(CACHE_DIR, { recursive: true });
+        const temp = `${METADATA_FILE}.${process.pid}.tmp`;
+        await fs.promises.writeFile(temp, JSON.stringify(Object.fromEntries(next), null, 2));
+        await fs.promises.rename(temp, METADATA_FILE);
+    }
+
+    metadata = next;
+    return next.size;
+};
+
+/**
+ * Describe an image path for API responses
+ * @param {string|null} imagePath - portrait_path or image_path value
+ * @returns {Object|null} { path, width, height, blurhash, color }; unknown
+ *   images keep their path with null metadata
+ */
+const describeImage = (imagePath) => {
+    if (typeof imagePath !== 'string' || !imagePath) return null;
+
+    const entry = metadata.get(imagePath);
+    return {
+        path: imagePath,
+        width: entry ? entry.width : null,
+        height: entry ? entry.height : null,
+        blurhash: entry ? entry.blurhash : null,
+        color: entry ? entry.color : null
+    };
+};
+
+module.exports = {
+    loadImageMetadata,
+    describeImage
+};
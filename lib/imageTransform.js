@@ -0,0 +1,184 @@
+/**
+ * Image Transforms for Stranger Things API
+ * Resizes, crops and transcodes the images in public/images with sharp,
+ * keeping every derived image in a disk cache
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const IMAGES_DIR = path.join(__dirname, '..', 'public', 'images');
+const CACHE_DIR = process.env.IMAGE_CACHE_DIR
+    ? path.resolve(process.env.IMAGE_CACHE_DIR)
+    : path.join(__dirname, '..', '.cache', 'images');
+
+// Only these widths and heights are served, so the cache stays bounded
+const IMAGE_SIZES = [32, 64, 128, 200, 256, 400, 512, 800];
+
+const FIT_MODES = ['cover', 'contain', 'fill', 'inside', 'outside'];
+
+const OUTPUT_FORMATS = {
+    avif: { type: 'image/avif', options: { quality: 50, effort: 2 } },
+    webp: { type: 'image/webp', options: { quality: 80 } },
+    jpeg: { type: 'image/jpeg', options: { quality: 80, mozjpeg: true } },
+    png: { type: 'image/png', options: { compressionLevel: 9 } }
+};
+
+// Missing images are served as the dimmed brand logo, letterboxed on its own background
+const PLACEHOLDER = {
+    source: path.join(IMAGES_DIR, 'brand', 'logo.png'),
+    background: '#080808',
+    brightness: 0.6,
+    size: 400
+};
+
+const SOURCE_FORMATS = {
+    '.webp': 'webp',
+    '.png': 'png',
+    '.jpg': 'jpeg',
+    '.jpeg': 'jpeg'
+};
+
+// Transforms in progress, so concurrent requests share one sharp pipeline
+const pending = new Map();
+
+/**
+ * Find the source file of an image URL path
+ * @param {string} urlPath - Path below /images, e.g. "/characters/eleven.webp"
+ * @returns {Object|null} { file, format } or null for unknown or unsupported files
+ */
+const resolveSource = (urlPath) => {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(urlPath);
+    } catch {
+        return null;
+    }
+
+    const file = path.join(IMAGES_DIR, decoded);
+    const format = SOURCE_FORMATS[path.extname(file).toLowerCase()];
+
+    // Never follow a path out of public/images
+    if (!format || !file.startsWith(IMAGES_DIR + path.sep) || !fs.existsSync(file)) return null;
+
+    return { file, format };
+};
+
+/**
+ * Source for the placeholder of a missing image
+ * @param {string} urlPath - Path below /images of the missing image
+ * @returns {Object} { file, format, placeholder: true }, format taken from the extension
+ */
+const getPlaceholderSource = (urlPath) => ({
+    file: PLACEHOLDER.source,
+    format: SOURCE_FORMATS[path.extname(urlPath).toLowerCase()] || 'png',
+    placeholder: true
+});
+
+/**
+ * Read and check the transform parameters of an image request
+ * @param {Object} query - Query parameters (w, h, fit, format)
+ * @returns {Object} { options } or { error }
+ */
+const parseTransform = (query) => {
+    const options = {};
+
+    for (const [param, name] of [['w', 'width'], ['h', 'height']]) {
+        if (query[param] === undefined) continue;
+
+        const size = Number([].concat(query[param]).pop());
+        if (!IMAGE_SIZES.includes(size)) {
+            return { error: `Invalid ${param} parameter. Must be one of: ${IMAGE_SIZES.join(', ')}.` };
+        }
+        options[name] = size;
+    }
+
+    if (query.fit !== undefined) {
+        const fit = String([].concat(query.fit).pop()).toLowerCase();
+        if (!FIT_MODES.includes(fit)) {
+            return { error: `Invalid fit parameter. Must be one of: ${FIT_MODES.join(', ')}.` };
+        }
+        if (!options.width && !options.height) {
+            return { error: 'The fit parameter needs w or h.' };
+        }
+        options.fit = fit;
+    }
+
+    if (query.format !== undefined) {
+        const format = String([].concat(query.format).pop()).toLowerCase();
+        if (!OUTPUT_FORMATS[format]) {
+            return { error: `Invalid format parameter. Must be one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}.` };
+        }
+        options.format = format;
+    }
+
+    return { options };
+};
+
+/**
+ * Resize and transcode an image, or reuse the cached result. Cache entries
+ * are keyed by the source file, its mtime and the options, so replacing a
+ * source image never serves a stale derivative.
+ * @param {Object} source - From resolveSource() or getPlaceholderSource()
+ * @param {Object} options - { width, height, fit, format } with format set
+ * @returns {Promise<string>} Path of the derived image
+ */
+const getTransformedImage = async (source, options) => {
+    const { mtimeMs } = await fs.promises.stat(source.file);
+    const key = crypto.createHash('sha1')
+        .update(JSON.stringify([path.relative(IMAGES_DIR, source.file), mtimeMs, Boolean(source.placeholder), options.width, options.height, options.fit, options.format]))
+        .digest('hex');
+    const target = path.join(CACHE_DIR, `${key}.${options.format}`);
+
+    if (fs.existsSync(target)) return target;
+    if (pending.has(target)) return pending.get(target);
+
+    const transform = (async () => {
+        const { options: encoderOptions } = OUTPUT_FORMATS[options.format];
+        let image = sharp(source.file);
+
+        if (source.placeholder) {
+            const size = options.width || options.height ? {} : { width: PLACEHOLDER.size, height: PLACEHOLDER.size };
+            image = image
+                .modulate({ brightness: PLACEHOLDER.brightness })
+                .resize({ width: options.width, height: options.height, ...size, fit: 'contain', background: PLACEHOLDER.background });
+        } else {
+            image = image.resize({
+                width: options.width,
+                height: options.height,
+                fit: options.fit || 'cover',
+                withoutEnlargement: true
+            });
+        }
+
+        const buffer = await image.toFormat(options.format, encoderOptions).toBuffer();
+
+        // Write next to the target and rename, so readers never see half a file
+        await fs.promises.mkdir(CACHE_DIR, { recursive: true });
+        const temp = `${target}.${process.pid}.tmp`;
+        await fs.promises.writeFile(temp, buffer);
+        await fs.promises.rename(temp, target);
+
+        return target;
+    })();
+
+    pending.set(target, transform);
+    try {
+        return await transform;
+    } finally {
+        pending.delete(target);
+    }
+};
+
+module.exports = {
+    CACHE_DIR,
+    IMAGE_SIZES,
+    FIT_MODES,
+    OUTPUT_FORMATS,
+    resolveSource,
+    getPlaceholderSource,
+    parseTransform,
+    getTransformedImage
+};
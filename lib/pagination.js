@@ -0,0 +1,198 @@
+/**
+ * Pagination for Stranger Things API list endpoints
+ * Page numbers (`page`) or opaque keyset cursors (`cursor`), with absolute
+ * first/prev/next/last URLs in the body and an RFC 8288 `Link` header
+ */
+
+const crypto = require('crypto');
+const { paginate, parseSort, getSortKeys, compareSortKeys, sortRecords } = require('./query');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+// Parameters that change neither which records are listed nor their order.
+// `lang` does, but the fingerprint covers the locale however it was chosen.
+const UNSCOPED_PARAMS = ['page', 'limit', 'cursor', 'fields', 'expand', 'format', 'lang'];
+
+// Ties on the requested sort are broken by id so every position is unique
+const ID_ORDER = { field: 'id', descending: false };
+
+/**
+ * Hash the sort and filter parameters a cursor was issued for, and the
+ * locale, since records are filtered and sorted on their translated values
+ * @param {Object} query - Query parameters
+ * @param {string} [locale] - Locale of the request
+ * @returns {string} Short fingerprint
+ */
+const getQueryFingerprint = (query, locale) => {
+    const scoped = Object.keys(query)
+        .filter(key => !UNSCOPED_PARAMS.includes(key))
+        .sort()
+        .map(key => [key, [].concat(query[key]).map(String)]);
+
+    return crypto.createHash('sha256').update(JSON.stringify([locale, scoped])).digest('base64url').slice(0, 10);
+};
+
+/**
+ * Encode a cursor. `k` holds the sort values of the record to page from;
+ * null means the start (`after`) or the end (`before`) of the list.
+ * @param {Object} cursor - { d: 'after'|'before', k: Array|null, f: fingerprint }
+ * @returns {string} Opaque, URL-safe token
+ */
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+/**
+ * Read and check the cursor parameter of a request
+ * @param {Object} query - Query parameters
+ * @param {string} [locale] - Locale of the request
+ * @returns {Object} { cursor } (null without a cursor parameter) or { error }
+ */
+const parseCursor = (query, locale) => {
+    if (query.cursor === undefined) return { cursor: null };
+
+    const fingerprint = getQueryFingerprint(query, locale);
+    const token = [].concat(query.cursor).pop();
+
+    // An empty cursor asks for the first page in cursor mode
+    if (!token) return { cursor: { d: 'after', k: null, f: fingerprint } };
+
+    let cursor;
+    try {
+        cursor = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    } catch {
+        cursor = null;
+    }
+
+    const keyCount = parseSort(query.sort).length + 1;
+    const isValid = cursor && typeof cursor === 'object' &&
+        ['after', 'before'].includes(cursor.d) &&
+        typeof cursor.f === 'string' &&
+        (cursor.k === null || (Array.isArray(cursor.k) && cursor.k.length === keyCount));
+
+    if (!isValid) {
+        return { error: 'Invalid cursor. Use the next_cursor or prev_cursor value from a previous response.' };
+    }
+    if (cursor.f !== fingerprint) {
+        return { error: 'This cursor was issued for different sort, filter or language parameters. Start again with an empty cursor.' };
+    }
+
+    return { cursor };
+};
+
+/**
+ * Build an absolute URL for the current request with other page parameters
+ * @param {Object} req - Express request
+ * @param {Object} params - Parameters to set (`page` or `cursor`)
+ * @returns {string} Absolute URL keeping every other query parameter
+ */
+const buildPageUrl = (req, params) => {
+    const url = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+
+    url.searchParams.delete('page');
+    url.searchParams.delete('cursor');
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+
+    return url.toString();
+};
+
+/**
+ * Slice a page of records around a cursor
+ * @param {Array} records - Filtered and sorted records
+ * @param {Object} cursor - From parseCursor()
+ * @param {number} limit - Items per page
+ * @param {Array} sort - Sort keys from parseSort()
+ * @param {string} collection - Collection name
+ * @returns {Object} { info, results }
+ */
+const paginateByCursor = (records, cursor, limit, sort, collection) => {
+    const order = [...sort, ID_ORDER];
+    const sorted = sortRecords(records, order, collection);
+    const keys = sorted.map(record => getSortKeys(record, order, collection));
+    const total = sorted.length;
+    let start;
+    let end;
+
+    if (cursor.d === 'after') {
+        start = cursor.k === null ? 0 : keys.findIndex(k => compareSortKeys(k, cursor.k, order) > 0);
+        if (start === -1) start = total;
+        end = Math.min(start + limit, total);
+    } else {
+        end = cursor.k === null ? total : keys.findIndex(k => compareSortKeys(k, cursor.k, order) >= 0);
+        if (end === -1) end = total;
+        start = Math.max(end - limit, 0);
+    }
+
+    const next = end < total ? { d: 'after', k: end > 0 ? keys[end - 1] : null, f: cursor.f } : null;
+    const prev = start > 0 ? { d: 'before', k: start < total ? keys[start] : null, f: cursor.f } : null;
+
+    return {
+        info: {
+            count: total,
+            per_page: limit,
+            next_cursor: next && encodeCursor(next),
+            prev_cursor: prev && encodeCursor(prev)
+        },
+        results: sorted.slice(start, end)
+    };
+};
+
+/**
+ * Format links as an RFC 8288 Link header
+ * @param {Object} links - rel => URL (null entries are skipped)
+ * @returns {string} Header value
+ */
+const formatLinkHeader = (links) => Object.entries(links)
+    .filter(([, url]) => url)
+    .map(([rel, url]) => `<${url}>; rel="${rel}"`)
+    .join(', ');
+
+/**
+ * Paginate a list response by page number or by cursor, and set the
+ * `Link` and `X-Total-Count` headers
+ * @param {Object} req - Express request (validated by validatePagination and validateCursor)
+ * @param {Object} res - Express response
+ * @param {Array} records - Filtered and sorted records
+ * @param {string} collection - Collection name
+ * @returns {Object} { info, results } with raw records in results
+ */
+const paginateRequest = (req, res, records, collection) => {
+    const limit = Math.min(parseInt(req.query.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+    const { cursor } = parseCursor(req.query, req.locale);
+    let result;
+
+    if (cursor) {
+        result = paginateByCursor(records, cursor, limit, parseSort(req.query.sort), collection);
+        const { next_cursor: nextCursor, prev_cursor: prevCursor } = result.info;
+
+        result.info.links = {
+            first: buildPageUrl(req, { cursor: encodeCursor({ d: 'after', k: null, f: cursor.f }) }),
+            prev: prevCursor ? buildPageUrl(req, { cursor: prevCursor }) : null,
+            next: nextCursor ? buildPageUrl(req, { cursor: nextCursor }) : null,
+            last: buildPageUrl(req, { cursor: encodeCursor({ d: 'before', k: null, f: cursor.f }) })
+        };
+    } else {
+        result = paginate(records, parseInt(req.query.page) || 1, limit);
+        const { prev, next, pages } = result.info;
+
+        result.info.links = {
+            first: buildPageUrl(req, { page: 1 }),
+            prev: prev ? buildPageUrl(req, { page: prev }) : null,
+            next: next ? buildPageUrl(req, { page: next }) : null,
+            last: buildPageUrl(req, { page: Math.max(pages, 1) })
+        };
+    }
+
+    res.append('Link', formatLinkHeader(result.info.links));
+    res.set('X-Total-Count', String(result.info.count));
+
+    return result;
+};
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    buildPageUrl,
+    formatLinkHeader,
+    parseCursor,
+    paginateRequest
+};
@@ -0,0 +1,374 @@
+/**
+ * Query Helpers for Stranger Things API
+ * Filtering, sorting and pagination shared by the REST and GraphQL list endpoints
+ */
+
+const { getFieldTypes } = require('./resources');
+
+// Query parameters that control the listing rather than filter it
+const RESERVED_PARAMS = ['page', 'limit', 'cursor', 'sort', 'fields', 'expand', 'format', 'lang', 'ids'];
+
+const collator = new Intl.Collator('en', { sensitivity: 'base', numeric: true });
+
+/**
+ * Paginate an array of results
+ * @param {Array} array - The array to paginate
+ * @param {number} page - Page number (1-indexed)
+ * @param {number} limit - Items per page
+ * @returns {Object} Paginated results with info
+ */
+const paginate = (array, page = 1, limit = 20) => {
+    const startIndex = (page - 1) * limit;
+    const endIndex = startIndex + limit;
+    const results = {};
+
+    results.info = {
+        count: array.length,
+        pages: Math.ceil(array.length / limit),
+        current_page: page,
+        per_page: limit,
+        next: endIndex < array.length ? page + 1 : null,
+        prev: startIndex > 0 ? page - 1 : null
+    };
+
+    results.results = array.slice(startIndex, endIndex);
+    return results;
+};
+
+/**
+ * Filter operators supported by each field type, and the operator used
+ * when a parameter has none (`name=will` behaves like `name[contains]=will`)
+ */
+const FILTER_OPERATORS = {
+    number: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'between', 'in'],
+    date: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'between', 'contains'],
+    string: ['eq', 'ne', 'contains', 'in'],
+    ordinal: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'between', 'contains', 'in'],
+    boolean: ['eq', 'ne'],
+    array: ['contains', 'any', 'all']
+};
+
+const DEFAULT_OPERATORS = {
+    number: 'eq',
+    date: 'contains',
+    string: 'contains',
+    ordinal: 'contains',
+    boolean: 'eq',
+    array: 'contains'
+};
+
+const LIST_OPERATORS = ['in', 'any', 'all', 'between'];
+const COMPARISON_OPERATORS = ['gt', 'gte', 'lt', 'lte', 'between'];
+const FILTER_KEY = /^(\w+)\[(\w+)\]$/;
+
+/**
+ * Normalize a value for equality checks. Strings compare exactly;
+ * only `contains` ignores case.
+ * @param {*} value - Raw or query value
+ * @param {string} type - Scalar field type
+ * @returns {number|string|boolean|null} Normalized value
+ */
+const toEqualityValue = (value, type) => {
+    if (value === null || value === undefined) return null;
+
+    switch (type) {
+        case 'number':
+            return Number(value);
+        case 'date':
+            return Date.parse(value);
+        case 'boolean':
+            return String(value).toLowerCase() === 'true';
+        default:
+            return String(value);
+    }
+};
+
+/**
+ * Parse and type-check the value(s) of one filter
+ * @param {string} field - Field name
+ * @param {string} operator - Filter operator
+ * @param {string} rawValue - Query string value
+ * @param {Object} fieldType - Entry from getFieldTypes()
+ * @returns {Object} { values } or { error }
+ */
+const parseFilterValues = (field, operator, rawValue, fieldType) => {
+    const parts = LIST_OPERATORS.includes(operator)
+        ? rawValue.split(',').map(part => part.trim()).filter(Boolean)
+        : [rawValue.trim()];
+    const scalarType = fieldType.type === 'array' ? fieldType.itemType : fieldType.type;
+
+    if (parts.length === 0 || parts[0] === '') {
+        return { error: `Filter ${field}[${operator}] needs a value.` };
+    }
+    if (operator === 'between' && parts.length !== 2) {
+        return { error: `Filter ${field}[between] needs two comma-separated values.` };
+    }
+
+    if (operator === 'contains' && scalarType !== 'number') {
+        return { values: parts.map(part => part.toLowerCase()) };
+    }
+
+    if (COMPARISON_OPERATORS.includes(operator)) {
+        const values = parts.map(part => toSortValue(part, fieldType));
+        if (values.some(value => value === null)) {
+            const expected = fieldType.type === 'ordinal' ? `one of ${fieldType.ordinal.join(', ')}` : `a valid ${fieldType.type}`;
+            return { error: `Filter ${field}[${operator}] expects ${expected}.` };
+        }
+        return { values };
+    }
+
+    const values = parts.map(part => toEqualityValue(part, scalarType));
+    if (values.some(value => typeof value === 'number' && Number.isNaN(value))) {
+        return { error: `Filter ${field}[${operator}] expects a valid ${scalarType}.` };
+    }
+    return { values };
+};
+
+/**
+ * Parse filter parameters such as `age[gte]=15` or `status=Alive` into
+ * typed filters for a collection. Plain parameters naming unknown fields
+ * are ignored; operators on unknown fields or unsupported operators are errors.
+ * @param {Object} query - Query parameters
+ * @param {string} collection - Collection name
+ * @returns {Object} { filters, errors }
+ */
+const parseFilters = (query, collection) => {
+    const fieldTypes = getFieldTypes(collection);
+    const filters = [];
+    const errors = [];
+
+    Object.entries(query).forEach(([key, rawValue]) => {
+        if (RESERVED_PARAMS.includes(key)) return;
+
+        const match = key.match(FILTER_KEY);
+        const field = match ? match[1] : key;
+        const fieldType = fieldTypes[field];
+
+        if (!fieldType || !FILTER_OPERATORS[fieldType.type]) {
+            if (match) errors.push(`Unknown filter field: ${field}.`);
+            return;
+        }
+
+        const supported = FILTER_OPERATORS[fieldType.type];
+        const operator = match ? match[2].toLowerCase() : DEFAULT_OPERATORS[fieldType.type];
+
+        if (!supported.includes(operator)) {
+            errors.push(`Operator "${operator}" is not supported for ${field} (${fieldType.type}). Supported: ${supported.join(', ')}.`);
+            return;
+        }
+
+        // Repeated parameters keep the last value, like hpp does
+        const value = Array.isArray(rawValue) ? rawValue[rawValue.length - 1] : String(rawValue);
+        const parsed = parseFilterValues(field, operator, value, fieldType);
+
+        if (parsed.error) {
+            errors.push(parsed.error);
+            return;
+        }
+
+        filters.push({ field, operator, fieldType, values: parsed.values });
+    });
+
+    return { filters, errors };
+};
+
+/**
+ * Test a single (non-array) value against a filter
+ * @param {*} value - Record value
+ * @param {Object} filter - Parsed filter
+ * @param {string} scalarType - Type of the value
+ * @returns {boolean} Whether the value matches
+ */
+const matchesScalar = (value, { operator, fieldType, values }, scalarType) => {
+    if (operator === 'contains') {
+        if (scalarType === 'number') return Number(value) === values[0];
+        return String(value).toLowerCase().includes(values[0]);
+    }
+
+    if (COMPARISON_OPERATORS.includes(operator)) {
+        const comparable = toSortValue(value, fieldType);
+        if (comparable === null) return false;
+
+        switch (operator) {
+            case 'gt': return comparable > values[0];
+            case 'gte': return comparable >= values[0];
+            case 'lt': return comparable < values[0];
+            case 'lte': return comparable <= values[0];
+            default: return comparable >= values[0] && comparable <= values[1];
+        }
+    }
+
+    const normalized = toEqualityValue(value, scalarType);
+    if (operator === 'ne') return normalized !== values[0];
+    return values.includes(normalized);
+};
+
+/**
+ * Test a record against a filter
+ * @param {Object} record - Record to test
+ * @param {Object} filter - Parsed filter
+ * @returns {boolean} Whether the record matches
+ */
+const matchesFilter = (record, filter) => {
+    const value = record[filter.field];
+
+    if (value === null || value === undefined) return filter.operator === 'ne';
+
+    if (filter.fieldType.type !== 'array') {
+        return matchesScalar(value, filter, filter.fieldType.type);
+    }
+
+    const { itemType } = filter.fieldType;
+    const items = [].concat(value);
+
+    if (filter.operator === 'contains') {
+        return items.some(item => matchesScalar(item, filter, itemType));
+    }
+
+    const normalizedItems = items.map(item => toEqualityValue(item, itemType));
+    if (filter.operator === 'all') {
+        return filter.values.every(wanted => normalizedItems.includes(wanted));
+    }
+    return filter.values.some(wanted => normalizedItems.includes(wanted));
+};
+
+/**
+ * Filter an array by query parameters
+ * @param {Array} array - The array to filter
+ * @param {Object} query - Query parameters
+ * @param {string} collection - Collection name, for field types
+ * @returns {Array} Filtered array
+ */
+const filterByField = (array, query, collection) => {
+    const { filters } = parseFilters(query, collection);
+    if (filters.length === 0) return array;
+
+    return array.filter(item => filters.every(filter => matchesFilter(item, filter)));
+};
+
+/**
+ * Parse a sort parameter such as "-age,name"
+ * @param {string|string[]} sortParam - Comma-separated fields, "-" prefix for descending
+ * @returns {Array} Sort keys as { field, descending }
+ */
+const parseSort = (sortParam) => {
+    if (!sortParam) return [];
+
+    return [].concat(sortParam)
+        .join(',')
+        .split(',')
+        .map(token => token.trim())
+        .filter(Boolean)
+        .map(token => ({
+            field: token.replace(/^[-+]/, ''),
+            descending: token.startsWith('-')
+        }));
+};
+
+/**
+ * Rank a value of an ordinal field by the levels it mentions
+ * @param {string} value - e.g. "Medium-High"
+ * @param {string[]} levels - Levels from lowest to highest
+ * @returns {number|null} Average rank of the mentioned levels
+ */
+const ordinalRank = (value, levels) => {
+    const ranks = levels
+        .map((level, rank) => (new RegExp(`\\b${level}\\b`, 'i').test(value) ? rank : -1))
+        .filter(rank => rank >= 0);
+
+    return ranks.length ? ranks.reduce((sum, rank) => sum + rank, 0) / ranks.length : null;
+};
+
+/**
+ * Convert a field value into something comparable
+ * @param {*} value - Raw field value
+ * @param {Object} fieldType - Entry from getFieldTypes()
+ * @returns {number|string|null} Comparable value, null when missing or unparseable
+ */
+const toSortValue = (value, fieldType) => {
+    if (value === null || value === undefined || value === '') return null;
+
+    switch (fieldType.type) {
+        case 'number': {
+            const number = Number(value);
+            return Number.isNaN(number) ? null : number;
+        }
+        case 'date': {
+            const time = Date.parse(value);
+            return Number.isNaN(time) ? null : time;
+        }
+        case 'ordinal':
+            return ordinalRank(String(value), fieldType.ordinal);
+        case 'boolean':
+            return value ? 1 : 0;
+        default:
+            return String(value);
+    }
+};
+
+/**
+ * Compare two lists of sort values. Nulls always sort last, whatever the direction.
+ * @param {Array} a - Sort values from getSortKeys()
+ * @param {Array} b - Sort values from getSortKeys()
+ * @param {Array} sort - Sort keys from parseSort()
+ * @returns {number} Negative, zero or positive
+ */
+const compareSortKeys = (a, b, sort) => {
+    for (let i = 0; i < sort.length; i++) {
+        const x = a[i];
+        const y = b[i];
+
+        if (x === y) continue;
+        if (x === null) return 1;
+        if (y === null) return -1;
+
+        const comparison = typeof x === 'string' ? collator.compare(x, y) : x - y;
+        if (comparison !== 0) return sort[i].descending ? -comparison : comparison;
+    }
+    return 0;
+};
+
+/**
+ * Get the comparable sort values of a record
+ * @param {Object} record - Record to read
+ * @param {Array} sort - Sort keys from parseSort()
+ * @param {string} collection - Collection name, for field types
+ * @returns {Array} One value per sort key
+ */
+const getSortKeys = (record, sort, collection) => {
+    const fieldTypes = getFieldTypes(collection);
+    return sort.map(({ field }) => toSortValue(record[field], fieldTypes[field]));
+};
+
+/**
+ * Sort records by one or more fields. Nulls always sort last and ties
+ * keep file order.
+ * @param {Array} array - Records to sort
+ * @param {Array} sort - Sort keys from parseSort()
+ * @param {string} collection - Collection name, for field types
+ * @returns {Array} A new, sorted array
+ */
+const sortRecords = (array, sort, collection) => {
+    if (sort.length === 0) return array;
+
+    const decorated = array.map(record => ({
+        record,
+        keys: getSortKeys(record, sort, collection)
+    }));
+
+    decorated.sort((a, b) => compareSortKeys(a.keys, b.keys, sort));
+
+    return decorated.map(({ record }) => record);
+};
+
+module.exports = {
+    RESERVED_PARAMS,
+    FILTER_OPERATORS,
+    paginate,
+    parseFilters,
+    filterByField,
+    parseSort,
+    getSortKeys,
+    compareSortKeys,
+    sortRecords
+};
@@ -0,0 +1,120 @@
+/**
+ * Relations for Stranger Things API
+ * Defines which fields can be expanded into related records with `expand=`
+ */
+
+const store = require('./dataStore');
+const { normalizeSpeciesName, buildSpeciesIndex } = require('./species');
+
+const MAX_EXPAND_DEPTH = 2;
+
+/**
+ * Resolve a species name to a creature
+ * @param {string} name - Name as written in `related_species`
+ * @returns {Object|undefined} The creature, if one matches
+ */
+const resolveSpecies = (name) => {
+    return store.derive('speciesIndex', snapshot => buildSpeciesIndex(snapshot.collections.creatures)).get(normalizeSpeciesName(name));
+};
+
+/**
+ * Expandable fields per collection. `resolve` returns the related record(s)
+ * of `collection`; the expanded value replaces the plain field.
+ */
+const EXPANSIONS = {
+    characters: {
+        quotes: {
+            collection: 'quotes',
+            resolve: character => store.all('quotes').filter(q => q.character_id === character.id)
+        }
+    },
+    creatures: {
+        related_species: {
+            collection: 'creatures',
+            // Names that match no creature are left out
+            resolve: creature => [...new Set((creature.related_species || []).map(resolveSpecies).filter(Boolean))]
+        }
+    },
+    episodes: {},
+    locations: {},
+    quotes: {
+        character: {
+            collection: 'characters',
+            resolve: quote => store.findById('characters', quote.character_id) || null
+        }
+    }
+};
+
+/**
+ * Parse an expand parameter such as "quotes,quotes.character"
+ * @param {string|string[]} expandParam - Comma-separated relation paths
+ * @returns {string[]} Relation paths
+ */
+const parseExpand = (expandParam) => {
+    if (!expandParam) return [];
+
+    return [].concat(expandParam)
+        .join(',')
+        .split(',')
+        .map(path => path.trim())
+        .filter(Boolean);
+};
+
+/**
+ * Check relation paths against a collection
+ * @param {string[]} paths - Relation paths
+ * @param {string} collection - Collection the paths start from
+ * @returns {string[]} Error messages, empty when all paths are valid
+ */
+const validateExpandPaths = (paths, collection) => {
+    const errors = [];
+
+    paths.forEach(path => {
+        const segments = path.split('.');
+
+        if (segments.length > MAX_EXPAND_DEPTH) {
+            errors.push(`Expansion "${path}" is deeper than ${MAX_EXPAND_DEPTH} levels.`);
+            return;
+        }
+
+        let current = collection;
+        for (const segment of segments) {
+            const relation = EXPANSIONS[current][segment];
+            if (!relation) {
+                errors.push(`Unknown expansion "${path}" for ${collection}.`);
+                return;
+            }
+            current = relation.collection;
+        }
+    });
+
+    return errors;
+};
+
+/**
+ * Turn relation paths into a tree: ["quotes.character"] => { quotes: { character: {} } }
+ * @param {string[]} paths - Relation paths
+ * @returns {Object} Expand tree
+ */
+const toExpandTree = (paths) => {
+    const tree = {};
+
+    paths.forEach(path => {
+        let node = tree;
+        path.split('.').forEach(segment => {
+            node[segment] = node[segment] || {};
+            node = node[segment];
+        });
+    });
+
+    return tree;
+};
+
+module.exports = {
+    MAX_EXPAND_DEPTH,
+    EXPANSIONS,
+    resolveSpecies,
+    parseExpand,
+    validateExpandPaths,
+    toExpandTree
+};
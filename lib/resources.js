@@ -0,0 +1,83 @@
+/**
+ * Resource Registry for Stranger Things API
+ * Maps each collection to its OpenAPI schema and derives field types from it
+ */
+
+const swaggerSpec = require('../config/swagger');
+
+const RESOURCES = {
+    characters: { schema: 'Character', singular: 'character' },
+    creatures: { schema: 'Creature', singular: 'creature' },
+    episodes: { schema: 'Episode', singular: 'episode' },
+    locations: { schema: 'Location', singular: 'location' },
+    quotes: { schema: 'Quote', singular: 'quote' }
+};
+
+/**
+ * Fields with a semantic order instead of an alphabetical one.
+ * Compound values ("Medium-High") rank between the levels they mention.
+ */
+const ORDINAL_FIELDS = {
+    creatures: {
+        threat_level: ['Low', 'Medium', 'High', 'Extreme']
+    }
+};
+
+/**
+ * Classify an OpenAPI property
+ * @param {Object} property - OpenAPI property schema
+ * @returns {string} number, date, string, boolean, array or object
+ */
+const typeOf = (property) => {
+    if (property.$ref || property.allOf) return 'object';
+    if (property.type === 'integer' || property.type === 'number') return 'number';
+    if (property.type === 'string' && (property.format === 'date' || property.format === 'date-time')) return 'date';
+    return property.type || 'string';
+};
+
+const fieldTypeCache = {};
+
+/**
+ * Get the type of every field of a collection
+ * @param {string} collection - Collection name
+ * @returns {Object} Map of field name to { type, itemType, ordinal }
+ */
+const getFieldTypes = (collection) => {
+    if (fieldTypeCache[collection]) return fieldTypeCache[collection];
+
+    const { properties } = swaggerSpec.components.schemas[RESOURCES[collection].schema];
+    const ordinals = ORDINAL_FIELDS[collection] || {};
+    const fields = {};
+
+    Object.entries(properties).forEach(([name, schema]) => {
+        // Expandable fields list their plain form first
+        const property = schema.oneOf ? schema.oneOf[0] : schema;
+        const type = ordinals[name] ? 'ordinal' : typeOf(property);
+        fields[name] = {
+            type,
+            itemType: type === 'array' ? typeOf(property.items || {}) : undefined,
+            ordinal: ordinals[name]
+        };
+    });
+
+    fieldTypeCache[collection] = fields;
+    return fields;
+};
+
+/**
+ * Fields that can be used in `sort`: every single-valued scalar field
+ * @param {string} collection - Collection name
+ * @returns {string[]} Sortable field names
+ */
+const getSortableFields = (collection) => {
+    return Object.entries(getFieldTypes(collection))
+        .filter(([, field]) => ['number', 'date', 'string', 'boolean', 'ordinal'].includes(field.type))
+        .map(([name]) => name);
+};
+
+module.exports = {
+    RESOURCES,
+    ORDINAL_FIELDS,
+    getFieldTypes,
+    getSortableFields
+};
@@ -0,0 +1,263 @@
+/**
+ * Full-Text Search for Stranger Things API
+ * Weighted inverted index over the dataset with typo-tolerant matching,
+ * relevance scores and highlighted fragments. Each locale has its own
+ * index over the translated records.
+ */
+
+const store = require('./dataStore');
+
+/**
+ * Searchable fields per collection and their weights. A match in a
+ * heavier field ranks higher (name > nickname/real_name > occupation > description).
+ */
+const SEARCH_FIELDS = {
+    characters: { name: 10, nickname: 6, real_name: 6, occupation: 3, portrayed_by: 3, description: 1 },
+    creatures: { name: 10, classification: 3, origin: 3, description: 1 },
+    episodes: { title: 10, directed_by: 3, written_by: 3, synopsis: 1 },
+    locations: { name: 10, type: 3, significance: 1, description: 1 },
+    quotes: { quote: 6, character: 4, context: 1 }
+};
+
+// How much a term match counts, by how it matched the query word
+const MATCH_FACTORS = { exact: 1, prefix: 0.8, fuzzy: [1, 0.6, 0.4] };
+
+// Short fields rank a little higher: "Demogorgon" before "Russian Demogorgon"
+const LENGTH_NORMALIZATION = 0.25;
+
+const MIN_TERM_LENGTH = 2;
+const MIN_PREFIX_LENGTH = 3;
+const FRAGMENT_RADIUS = 60;
+const WORD = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Lower-case a word and strip accents
+ * @param {string} word - Word as written
+ * @returns {string} Index term
+ */
+const normalizeTerm = (word) => word.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+/**
+ * Split text into index terms
+ * @param {string} text - Any text
+ * @returns {string[]} Terms, in order, without duplicates
+ */
+const tokenize = (text) => [...new Set(
+    (String(text).match(WORD) || []).map(normalizeTerm).filter(term => term.length >= MIN_TERM_LENGTH)
+)];
+
+/**
+ * Edits allowed for a query word: none for short words, more for long ones
+ * @param {string} term - Query term
+ * @returns {number} Maximum edit distance
+ */
+const maxEditsFor = (term) => {
+    if (term.length <= 3) return 0;
+    return term.length <= 6 ? 1 : 2;
+};
+
+/**
+ * Edit distance (insertions, deletions, substitutions and adjacent
+ * transpositions), giving up once it exceeds `max`
+ * @param {string} a - First term
+ * @param {string} b - Second term
+ * @param {number} max - Largest distance of interest
+ * @returns {number} The distance, or max + 1 when larger
+ */
+const editDistance = (a, b, max) => {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const nextRow = [i];
+        let rowMin = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+            if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousRow[j - 2] + 1);
+            }
+
+            nextRow.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+
+        if (rowMin > max) return max + 1;
+        previousRow = row;
+        row = nextRow;
+    }
+
+    return row[b.length];
+};
+
+/**
+ * Build the inverted index: term => postings of { collection, id, field, weight },
+ * where weight already includes the length normalization of the field
+ * @param {Object} snapshot - Data store snapshot
+ * @param {string} locale - Locale whose translations are indexed
+ * @returns {Object} { postings, vocabulary }
+ */
+const buildSearchIndex = (snapshot, locale) => {
+    const postings = new Map();
+
+    Object.entries(SEARCH_FIELDS).forEach(([collection, fields]) => {
+        snapshot.collections[collection].map(record => store.localize(collection, record, locale)).forEach(record => {
+            Object.entries(fields).forEach(([field, weight]) => {
+                if (!record[field]) return;
+
+                const terms = tokenize(record[field]);
+                const fieldWeight = weight * (1 - LENGTH_NORMALIZATION + LENGTH_NORMALIZATION / terms.length);
+
+                terms.forEach(term => {
+                    if (!postings.has(term)) postings.set(term, []);
+                    postings.get(term).push({ collection, id: record.id, field, weight: fieldWeight });
+                });
+            });
+        });
+    });
+
+    return { postings, vocabulary: [...postings.keys()] };
+};
+
+/**
+ * Get the index of a locale for the current snapshot, building it if needed
+ * @param {string} [locale] - Locale code
+ * @returns {Object} From buildSearchIndex()
+ */
+const getSearchIndex = (locale = store.DEFAULT_LOCALE) => store.derive(`searchIndex:${locale}`, snapshot => buildSearchIndex(snapshot, locale));
+
+/**
+ * Find the index terms a query word matches, exactly, as a prefix or
+ * within its edit distance
+ * @param {string} queryTerm - Normalized query word
+ * @param {string[]} vocabulary - Every index term
+ * @returns {Array} Matches as { term, factor }
+ */
+const expandTerm = (queryTerm, vocabulary) => {
+    const maxEdits = maxEditsFor(queryTerm);
+    const matches = [];
+
+    vocabulary.forEach(term => {
+        if (term === queryTerm) {
+            matches.push({ term, factor: MATCH_FACTORS.exact });
+        } else if (queryTerm.length >= MIN_PREFIX_LENGTH && term.startsWith(queryTerm)) {
+            matches.push({ term, factor: MATCH_FACTORS.prefix });
+        } else if (maxEdits > 0) {
+            const distance = editDistance(queryTerm, term, maxEdits);
+            if (distance <= maxEdits) matches.push({ term, factor: MATCH_FACTORS.fuzzy[distance] });
+        }
+    });
+
+    return matches;
+};
+
+/**
+ * Search the dataset. Each query word adds the score of its best weighted
+ * match in a record; records matching only some of the words are scaled
+ * down by the share of words they match.
+ * @param {string} query - Free-text query
+ * @param {string[]} [collections] - Collections to search (default: all)
+ * @param {string} [locale] - Language of the searched text
+ * @returns {Array} Hits as { collection, record, score, matches } sorted by score;
+ *   `record` is translated to the locale and `matches` maps each matched
+ *   field to the index terms found in it
+ */
+const search = (query, collections = Object.keys(SEARCH_FIELDS), locale = store.DEFAULT_LOCALE) => {
+    const { postings, vocabulary } = getSearchIndex(locale);
+    const queryTerms = tokenize(query);
+    const hits = new Map();
+
+    queryTerms.forEach((queryTerm, position) => {
+        expandTerm(queryTerm, vocabulary).forEach(({ term, factor }) => {
+            postings.get(term).forEach(({ collection, id, field, weight }) => {
+                if (!collections.includes(collection)) return;
+
+                const key = `${collection}:${id}`;
+                if (!hits.has(key)) hits.set(key, { collection, id, best: new Array(queryTerms.length).fill(0), matches: {} });
+
+                const hit = hits.get(key);
+                hit.best[position] = Math.max(hit.best[position], weight * factor);
+                (hit.matches[field] = hit.matches[field] || new Set()).add(term);
+            });
+        });
+    });
+
+    return [...hits.values()]
+        .map(({ collection, id, best, matches }) => {
+            const matchedWords = best.filter(score => score > 0).length;
+            const score = best.reduce((sum, value) => sum + value, 0) * (matchedWords / queryTerms.length);
+
+            return {
+                collection,
+                record: store.localize(collection, store.findById(collection, id), locale),
+                score: Math.round(score * 100) / 100,
+                matches
+            };
+        })
+        .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Wrap matched words of a field in <mark> tags. Long fields are cut to
+ * a fragment around the first match.
+ * @param {string} text - Field value
+ * @param {Set} terms - Index terms matched in this field
+ * @returns {string} Highlighted fragment
+ */
+const highlightText = (text, terms) => {
+    const value = String(text);
+    const ranges = [];
+
+    for (const match of value.matchAll(WORD)) {
+        if (terms.has(normalizeTerm(match[0]))) ranges.push([match.index, match.index + match[0].length]);
+    }
+    if (ranges.length === 0) return value;
+
+    let start = 0;
+    let end = value.length;
+    if (value.length > FRAGMENT_RADIUS * 2) {
+        start = Math.max(ranges[0][0] - FRAGMENT_RADIUS, 0);
+        end = Math.min(ranges[0][1] + FRAGMENT_RADIUS, value.length);
+    }
+
+    let fragment = '';
+    let cursor = start;
+    ranges
+        .filter(([from, to]) => from >= start && to <= end)
+        .forEach(([from, to]) => {
+            fragment += `${value.slice(cursor, from)}<mark>${value.slice(from, to)}</mark>`;
+            cursor = to;
+        });
+    fragment += value.slice(cursor, end);
+
+    return `${start > 0 ? '…' : ''}${fragment.trim()}${end < value.length ? '…' : ''}`;
+};
+
+/**
+ * Highlighted fragments for a search hit, heaviest field first
+ * @param {Object} hit - From search()
+ * @returns {Object} Field => highlighted fragment
+ */
+const getHighlights = ({ collection, record, matches }) => {
+    const weights = SEARCH_FIELDS[collection];
+    const highlights = {};
+
+    Object.keys(matches)
+        .sort((a, b) => weights[b] - weights[a])
+        .forEach(field => {
+            highlights[field] = highlightText(record[field], matches[field]);
+        });
+
+    return highlights;
+};
+
+module.exports = {
+    SEARCH_FIELDS,
+    getSearchIndex,
+    search,
+    getHighlights
+};
@@ -0,0 +1,127 @@
+/**
+ * Response Serializers for Stranger Things API
+ * Turn raw dataset records into the shapes returned by the API
+ */
+
+const store = require('./dataStore');
+const appearances = require('./appearances');
+const { describeImage } = require('./imageMetadata');
+const { parseFields, pickFields } = require('./fields');
+const { EXPANSIONS, parseExpand, toExpandTree } = require('./relations');
+const { CURRENT_VERSION } = require('./versions');
+
+/**
+ * Replace the free-text first appearance with the episode it names
+ * @param {Object} record - Character, creature or location
+ * @param {string} [locale] - Locale of the episode
+ * @returns {Object} Serialized record
+ */
+const withFirstAppearance = (record, locale) => {
+    const episode = appearances.resolveFirstAppearance(record);
+    return { ...record, first_appearance: episode && serializers.episodes(store.localize('episodes', episode, locale)) };
+};
+
+/**
+ * Add the dimensions, colour and blurhash of a record's image next to its path
+ * @param {string} pathField - Field holding the image path
+ * @param {string} name - Field to describe the image in
+ * @returns {Function} Record => serialized record
+ */
+const withImage = (pathField, name) => (record) => {
+    const serialized = {};
+
+    Object.entries(record).forEach(([key, value]) => {
+        serialized[key] = value;
+        if (key === pathField) serialized[name] = describeImage(value);
+    });
+    if (!(name in serialized)) serialized[name] = null;
+
+    return serialized;
+};
+
+// (record, locale) => serialized record, for records already translated to `locale`
+const serializers = {
+    characters: (record, locale) => withImage('portrait_path', 'portrait')(withFirstAppearance(record, locale)),
+    creatures: (record, locale) => withImage('image_path', 'image')(withFirstAppearance(record, locale)),
+    episodes: withImage('image_path', 'image'),
+    locations: (record, locale) => withImage('image_path', 'image')(withFirstAppearance(record, locale)),
+    quotes: record => ({ ...record })
+};
+
+// Serializers of each API version. A new version starts as a copy of the
+// previous one and overrides the collections whose shape changes.
+const SERIALIZERS = {
+    v1: serializers
+};
+
+/**
+ * Serialize a record and replace expanded fields with related records
+ * @param {string} collection - Collection name
+ * @param {Object} record - Raw record
+ * @param {Object} expandTree - From toExpandTree()
+ * @param {string} [version] - API version
+ * @param {string} [locale] - Locale to translate the record to
+ * @returns {Object} Serialized record
+ */
+const serializeRecord = (collection, record, expandTree = {}, version = CURRENT_VERSION, locale = store.DEFAULT_LOCALE) => {
+    const serialized = SERIALIZERS[version][collection](store.localize(collection, record, locale), locale);
+
+    Object.entries(expandTree).forEach(([name, subtree]) => {
+        const relation = EXPANSIONS[collection][name];
+        const related = relation.resolve(record);
+
+        if (Array.isArray(related)) {
+            serialized[name] = related.map(item => serializeRecord(relation.collection, item, subtree, version, locale));
+        } else {
+            serialized[name] = related ? serializeRecord(relation.collection, related, subtree, version, locale) : null;
+        }
+    });
+
+    return serialized;
+};
+
+/**
+ * Read serializer options from query parameters
+ * @param {Object} query - Request query parameters
+ * @param {string} [version] - API version of the request (req.apiVersion)
+ * @param {string} [locale] - Language of the request (req.locale)
+ * @returns {Object} Options for serialize()
+ */
+const getSerializeOptions = (query, version = CURRENT_VERSION, locale = store.DEFAULT_LOCALE) => ({
+    fields: parseFields(query.fields),
+    expand: toExpandTree(parseExpand(query.expand)),
+    version,
+    locale
+});
+
+/**
+ * Serialize a single record
+ * @param {string} collection - Collection name
+ * @param {Object} record - Raw record
+ * @param {Object} [options] - From getSerializeOptions()
+ * @param {string[]} [options.fields] - Sparse fieldset
+ * @param {Object} [options.expand] - Relations to embed
+ * @param {string} [options.version] - API version whose serializers to use
+ * @param {string} [options.locale] - Locale to translate to
+ * @returns {Object} Serialized record
+ */
+const serialize = (collection, record, options = {}) => {
+    return pickFields(serializeRecord(collection, record, options.expand, options.version, options.locale), options.fields);
+};
+
+/**
+ * Serialize a list of records
+ * @param {string} collection - Collection name
+ * @param {Array} records - Raw records
+ * @param {Object} [options] - From getSerializeOptions()
+ * @returns {Array} Serialized records
+ */
+const serializeMany = (collection, records, options = {}) => {
+    return records.map(record => serialize(collection, record, options));
+};
+
+module.exports = {
+    getSerializeOptions,
+    serialize,
+    serializeMany
+};
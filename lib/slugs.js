@@ -0,0 +1,88 @@
+/**
+ * Slugs for Stranger Things API
+ * Human-readable, stable identifiers (`jim-hopper`, `s4e7`) for every record
+ */
+
+const QUOTE_SLUG_WORDS = 6;
+
+// Path segments that already mean something else under /api/{resource}/
+const RESERVED_SLUGS = ['random'];
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * Turn text into a slug: "Hopper's Cabin" => "hoppers-cabin"
+ * @param {string} text - Any text
+ * @returns {string} Lower-case words joined by dashes
+ */
+const slugify = (text) => String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+/**
+ * What each collection's slugs are made from
+ */
+const SLUG_SOURCES = {
+    characters: record => record.name,
+    creatures: record => record.name,
+    episodes: record => `s${record.season}e${record.episode}`,
+    locations: record => record.name,
+    quotes: record => String(record.quote || '').split(/\s+/).slice(0, QUOTE_SLUG_WORDS).join(' ')
+};
+
+/**
+ * Give every record of a collection a unique slug. A `slug` in the data
+ * wins over the generated one; clashes get a numeric suffix in file order
+ * ("will-byers", "will-byers-2"). Slugs that look like IDs or reserved
+ * words are prefixed with the collection name.
+ * @param {string} collection - Collection name
+ * @param {Array} records - Parsed records
+ * @returns {Array} New records with `slug` right after `id`
+ */
+const assignSlugs = (collection, records) => {
+    const source = SLUG_SOURCES[collection];
+    const used = new Set();
+
+    return records.map(record => {
+        let base = slugify(record.slug || (source ? source(record) : '')) || `${collection}-${record.id}`;
+        if (/^\d+$/.test(base) || RESERVED_SLUGS.includes(base)) base = `${collection}-${base}`;
+
+        let slug = base;
+        for (let suffix = 2; used.has(slug); suffix++) slug = `${base}-${suffix}`;
+        used.add(slug);
+
+        const { id, ...fields } = record;
+        delete fields.slug;
+        return { id, slug, ...fields };
+    });
+};
+
+/**
+ * Index a collection by slug, including the `previous_slugs` of renamed
+ * records. Current slugs always win over previous ones.
+ * @param {Array} records - Records with slugs
+ * @returns {Map} Slug => { record, canonical }
+ */
+const buildSlugIndex = (records) => {
+    const index = new Map();
+
+    records.forEach(record => index.set(record.slug, { record, canonical: true }));
+    records.forEach(record => {
+        [].concat(record.previous_slugs || []).map(slugify).forEach(previous => {
+            if (previous && !index.has(previous)) index.set(previous, { record, canonical: false });
+        });
+    });
+
+    return index;
+};
+
+module.exports = {
+    SLUG_PATTERN,
+    slugify,
+    assignSlugs,
+    buildSlugIndex
+};
@@ -0,0 +1,40 @@
+/**
+ * Species Names for Stranger Things API
+ * Matches the free-text names in `related_species` to creatures
+ */
+
+/**
+ * Normalize a creature name for matching: lower case, no parenthetical
+ * notes and no plural "s" ("Demo-dogs" and "Demo-dog" match)
+ * @param {string} name - Creature name
+ * @returns {string} Normalized name
+ */
+const normalizeSpeciesName = (name) => String(name)
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, '')
+    .trim()
+    .replace(/s$/, '');
+
+/**
+ * Index creatures by every name they go by ("Slug/Pollywog" is both)
+ * @param {Array} creatures - Creature records
+ * @returns {Map} Normalized name => creature
+ */
+const buildSpeciesIndex = (creatures) => {
+    const index = new Map();
+
+    creatures.forEach(creature => {
+        const aliases = [creature.name, ...creature.name.split('/'), ...(creature.name.match(/\(([^)]+)\)/g) || [])];
+        aliases.forEach(alias => {
+            const key = normalizeSpeciesName(alias.replace(/[()]/g, ''));
+            if (key && !index.has(key)) index.set(key, creature);
+        });
+    });
+
+    return index;
+};
+
+module.exports = {
+    normalizeSpeciesName,
+    buildSpeciesIndex
+};
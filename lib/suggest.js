@@ -0,0 +1,119 @@
+/**
+ * Search-as-you-type Suggestions for Stranger Things API
+ * Prefix trie over names, nicknames and titles. Every node keeps its best
+ * suggestions precomputed, so a lookup only walks the typed prefix.
+ */
+
+const store = require('./dataStore');
+
+const MAX_SUGGESTIONS = 10;
+
+/**
+ * Where suggestion labels come from: `label` names the record, `keys`
+ * lists every text that should match it
+ */
+const SUGGEST_SOURCES = {
+    characters: {
+        type: 'character',
+        label: record => record.name,
+        keys: record => [record.name, ...String(record.nickname || '').split(',')]
+    },
+    creatures: { type: 'creature', label: record => record.name, keys: record => [record.name] },
+    episodes: { type: 'episode', label: record => record.title, keys: record => [record.title] },
+    locations: { type: 'location', label: record => record.name, keys: record => [record.name] }
+};
+
+const TYPE_ORDER = Object.values(SUGGEST_SOURCES).map(source => source.type);
+
+/**
+ * Lower-case a key and strip accents
+ * @param {string} text - Text as written
+ * @returns {string} Trie key
+ */
+const normalizeKey = (text) => String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Every suffix of a key that starts a word, so "hop" finds "Jim Hopper"
+ * @param {string} key - Normalized key
+ * @returns {string[]} The key and its word-start suffixes
+ */
+const wordStarts = (key) => {
+    const starts = [key];
+    for (const match of key.matchAll(/[^\p{L}\p{N}]+(?=[\p{L}\p{N}])/gu)) {
+        starts.push(key.slice(match.index + match[0].length));
+    }
+    return starts;
+};
+
+/**
+ * Build the trie. Candidates are inserted best first (whole-label matches,
+ * then word matches; by type; shorter labels first), so each node can keep
+ * the first MAX_SUGGESTIONS distinct suggestions it sees.
+ * @param {Object} snapshot - Data store snapshot
+ * @returns {Object} Root node { children: Map, suggestions: [] }
+ */
+const buildTrie = (snapshot) => {
+    const candidates = [];
+
+    Object.entries(SUGGEST_SOURCES).forEach(([collection, source]) => {
+        snapshot.collections[collection].forEach(record => {
+            const suggestion = { type: source.type, id: record.id, label: source.label(record) };
+
+            source.keys(record).map(normalizeKey).filter(Boolean).forEach(key => {
+                wordStarts(key).forEach((start, position) => {
+                    candidates.push({ key: start, suggestion, rank: [position === 0 ? 0 : 1, TYPE_ORDER.indexOf(source.type), suggestion.label.length] });
+                });
+            });
+        });
+    });
+
+    candidates.sort((a, b) => a.rank[0] - b.rank[0] || a.rank[1] - b.rank[1] || a.rank[2] - b.rank[2]);
+
+    const root = { children: new Map(), suggestions: [] };
+    candidates.forEach(({ key, suggestion }) => {
+        let node = root;
+        for (const char of key) {
+            if (!node.children.has(char)) node.children.set(char, { children: new Map(), suggestions: [] });
+            node = node.children.get(char);
+
+            const isFull = node.suggestions.length >= MAX_SUGGESTIONS;
+            if (!isFull && !node.suggestions.includes(suggestion)) node.suggestions.push(suggestion);
+        }
+    });
+
+    return root;
+};
+
+/**
+ * Get the trie for the current snapshot, building it if needed
+ * @returns {Object} Root node
+ */
+const getSuggestTrie = () => store.derive('suggestTrie', buildTrie);
+
+/**
+ * Suggestions for a typed prefix
+ * @param {string} prefix - What the user has typed so far
+ * @param {number} [limit] - Maximum suggestions (up to MAX_SUGGESTIONS)
+ * @returns {Array} Suggestions as { type, id, label }
+ */
+const suggest = (prefix, limit = MAX_SUGGESTIONS) => {
+    let node = getSuggestTrie();
+
+    for (const char of normalizeKey(prefix)) {
+        node = node.children.get(char);
+        if (!node) return [];
+    }
+
+    return node.suggestions.slice(0, limit);
+};
+
+module.exports = {
+    MAX_SUGGESTIONS,
+    getSuggestTrie,
+    suggest
+};
@@ -0,0 +1,54 @@
+/**
+ * API Versions for Stranger Things API
+ * Every major version of the response shapes, oldest first. Set
+ * `deprecated` when a successor ships and `sunset` for the date the
+ * version stops being served; clients are told with the Deprecation,
+ * Sunset and Link (rel="successor-version") headers.
+ */
+
+const API_VERSIONS = {
+    v1: {
+        version: '1.0.0',
+        deprecated: null, // ISO date the version was deprecated
+        sunset: null, // ISO date after which it answers 410 Gone
+        successor: null // Version that replaces it
+    }
+};
+
+// What `/api/...` without a version serves
+const CURRENT_VERSION = 'v1';
+
+/**
+ * Lifecycle status of a version
+ * @param {string} name - Key of API_VERSIONS
+ * @param {number} [now] - Timestamp to check against
+ * @returns {string} current, supported, deprecated or retired
+ */
+const getVersionStatus = (name, now = Date.now()) => {
+    const { deprecated, sunset } = API_VERSIONS[name];
+
+    if (sunset && Date.parse(sunset) <= now) return 'retired';
+    if (deprecated && Date.parse(deprecated) <= now) return 'deprecated';
+    return name === CURRENT_VERSION ? 'current' : 'supported';
+};
+
+/**
+ * Describe every version for the `/api` endpoint
+ * @returns {Array} [{ name, version, status, base_path, deprecated, sunset, successor }]
+ */
+const listVersions = () => Object.entries(API_VERSIONS).map(([name, info]) => ({
+    name,
+    version: info.version,
+    status: getVersionStatus(name),
+    base_path: `/api/${name}`,
+    deprecated: info.deprecated,
+    sunset: info.sunset,
+    successor: info.successor
+}));
+
+module.exports = {
+    API_VERSIONS,
+    CURRENT_VERSION,
+    getVersionStatus,
+    listVersions
+};
@@ -0,0 +1,456 @@
+/**
+ * Webhooks for Stranger Things API
+ * Subscriptions that are sent an HMAC-signed POST for every logged
+ * dataset change (see lib/changeLog.js) of the event types they chose.
+ * Failed deliveries are retried with exponential backoff; every delivery
+ * is logged on its subscription and can be replayed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { RESOURCES } = require('./resources');
+const { ACTIONS } = require('./changeLog');
+
+const WEBHOOKS_FILE = process.env.WEBHOOKS_FILE
+    ? path.resolve(process.env.WEBHOOKS_FILE)
+    : path.join(__dirname, '..', '.data', 'webhooks.json');
+
+// Attempts per delivery; retry n waits RETRY_BASE_MS * 2^(n-1) (30s, 1m, 2m, 4m, 8m by default)
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000;
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+
+// Finished deliveries kept per subscription, newest first (pending ones are all kept)
+const MAX_LOGGED_DELIVERIES = 100;
+
+// Requests in flight per subscription; further due deliveries wait their turn
+const MAX_CONCURRENT_DELIVERIES = 4;
+
+// Characters of a receiver's response kept in the delivery log
+const MAX_LOGGED_BODY = 500;
+
+// `character.created`, `quote.deleted`, ... for every collection and change action
+const EVENT_TYPES = Object.values(RESOURCES).flatMap(({ singular }) => ACTIONS.map(action => `${singular}.${action}`));
+
+// Sent on demand to check that a receiver is reachable and verifies signatures
+const PING_EVENT = 'ping';
+
+const ALL_EVENTS = '*';
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+/**
+ * Sign a payload: HMAC-SHA256 of `<timestamp>.<body>` with the subscription secret
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix time in seconds, also sent in X-Webhook-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} `sha256=<hex>`, sent in X-Webhook-Signature
+ */
+const sign = (secret, timestamp, body) => `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+/**
+ * POST a JSON body
+ * @param {string} url - Receiver URL
+ * @param {string} body - JSON body
+ * @param {Object} headers - Extra request headers
+ * @returns {Promise<Object>} { status, body }; rejects on network errors and timeouts
+ */
+const postJson = (url, body, headers) => new Promise((resolve, reject) => {
+    const request = (url.startsWith('https:') ? https : http).request(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(body),
+            'User-Agent': 'Stranger-Things-API-Webhooks',
+            ...headers
+        },
+        timeout: DELIVERY_TIMEOUT_MS
+    }, (response) => {
+        let responseBody = '';
+        response.setEncoding('utf8');
+        response.on('data', chunk => {
+            if (responseBody.length < MAX_LOGGED_BODY) responseBody += chunk;
+        });
+        response.on('end', () => resolve({ status: response.statusCode, body: responseBody.substring(0, MAX_LOGGED_BODY) }));
+        response.on('aborted', () => reject(new Error('Connection closed before the response was complete')));
+        response.on('error', reject);
+    });
+
+    request.on('timeout', () => request.destroy(new Error(`No response within ${DELIVERY_TIMEOUT_MS / 1000} seconds`)));
+    request.on('error', reject);
+    // A promise settles once, so this only matters when nothing above did
+    request.on('close', () => reject(new Error('Connection closed before the response was complete')));
+    request.end(body);
+});
+
+/**
+ * Describe a subscription without its secret and deliveries
+ * @param {Object} subscription - Stored subscription
+ * @returns {Object} { id, url, events, description, created_at, last_delivery }
+ */
+const toPublic = ({ secret, deliveries, ...subscription }) => ({
+    ...subscription,
+    last_delivery: deliveries[0]
+        ? { id: deliveries[0].id, event: deliveries[0].event, status: deliveries[0].status, created_at: deliveries[0].created_at }
+        : null
+});
+
+/**
+ * Build the payload of a change log entry
+ * @param {Object} entry - Change log entry
+ * @returns {Object} { id, type, created_at, data }
+ */
+const changePayload = (entry) => ({
+    id: `evt_${entry.sequence}`,
+    type: `${RESOURCES[entry.collection].singular}.${entry.action}`,
+    created_at: entry.timestamp,
+    data: {
+        ...entry,
+        url: entry.action === 'deleted' ? null : `/api/${entry.collection}/${entry.id}`
+    }
+});
+
+/**
+ * Registry of webhook subscriptions and their deliveries, saved to a
+ * JSON file after every change so pending retries survive restarts
+ */
+class WebhookRegistry {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.file] - JSON file holding the subscriptions
+     */
+    constructor({ file = WEBHOOKS_FILE } = {}) {
+        this.file = file;
+        this.subscriptions = null; // id => subscription
+        this.timers = new Map(); // delivery id => retry timer
+        this.queues = new Map(); // subscription => { active, ready }, deliveries that are due
+    }
+
+    /**
+     * Read the subscriptions from disk and resume pending deliveries;
+     * a missing file means no subscriptions
+     * @throws {Error} If the file is malformed
+     */
+    load() {
+        let subscriptions = [];
+
+        if (fs.existsSync(this.file)) {
+            try {
+                subscriptions = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            } catch (error) {
+                throw new Error(`Invalid JSON in ${this.file}: ${error.message}`);
+            }
+
+            if (!Array.isArray(subscriptions) || subscriptions.some(subscription => !subscription?.id || !subscription.url || !subscription.secret)) {
+                throw new Error(`${this.file} must contain an array of subscriptions with an id, a url and a secret`);
+            }
+        }
+
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        this.queues.clear();
+        this.subscriptions = new Map(subscriptions.map(subscription => [subscription.id, subscription]));
+
+        this.subscriptions.forEach(subscription => subscription.deliveries
+            .filter(delivery => delivery.status === 'pending')
+            .forEach(delivery => this.schedule(subscription, delivery)));
+    }
+
+    /**
+     * Load the registry on first use
+     * @returns {Map} id => subscription
+     */
+    current() {
+        if (!this.subscriptions) this.load();
+        return this.subscriptions;
+    }
+
+    /**
+     * Write the registry to disk (temporary file, then rename)
+     */
+    save() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+        const temp = `${this.file}.${process.pid}.tmp`;
+        fs.writeFileSync(temp, JSON.stringify([...this.current().values()], null, 4));
+        fs.renameSync(temp, this.file);
+    }
+
+    /**
+     * Subscribe a URL to event types
+     * @param {Object} options
+     * @param {string} options.url - Receiver URL (http or https)
+     * @param {string[]} options.events - Event types, or ['*'] for all
+     * @param {string} [options.description] - Note for admins
+     * @returns {Object} { secret, subscription }, the secret being shown this once
+     */
+    create({ url, events, description = null }) {
+        const subscription = {
+            id: `wh_${crypto.randomBytes(6).toString('hex')}`,
+            url,
+            events: [...new Set(events)],
+            description,
+            secret: `whsec_${crypto.randomBytes(24).toString('base64url')}`,
+            created_at: new Date().toISOString(),
+            deliveries: []
+        };
+
+        this.current().set(subscription.id, subscription);
+        this.save();
+
+        return { secret: subscription.secret, subscription: toPublic(subscription) };
+    }
+
+    /**
+     * Get a subscription by ID
+     * @param {string} id - Subscription ID
+     * @returns {Object|undefined} Public subscription
+     */
+    get(id) {
+        const subscription = this.current().get(id);
+        return subscription && toPublic(subscription);
+    }
+
+    /**
+     * List every subscription, newest first
+     * @returns {Array} Public subscriptions
+     */
+    list() {
+        return [...this.current().values()]
+            .sort((a, b) => b.created_at.localeCompare(a.created_at))
+            .map(toPublic);
+    }
+
+    /**
+     * Delete a subscription and cancel its pending retries
+     * @param {string} id - Subscription ID
+     * @returns {boolean} Whether the subscription existed
+     */
+    remove(id) {
+        const subscription = this.current().get(id);
+        if (!subscription) return false;
+
+        subscription.deliveries.forEach(delivery => {
+            clearTimeout(this.timers.get(delivery.id));
+            this.timers.delete(delivery.id);
+        });
+        this.queues.delete(subscription);
+        this.subscriptions.delete(id);
+        this.save();
+
+        return true;
+    }
+
+    /**
+     * Deliveries of a subscription, newest first
+     * @param {string} id - Subscription ID
+     * @returns {Array|null} Deliveries, or null for unknown IDs
+     */
+    deliveries(id) {
+        return this.current().get(id)?.deliveries || null;
+    }
+
+    /**
+     * Queue a delivery of every change log entry to the subscriptions of its event type
+     * @param {Array} entries - Change log entries
+     * @returns {number} Deliveries queued
+     */
+    dispatch(entries) {
+        let queued = 0;
+
+        entries.map(changePayload).forEach(payload => {
+            this.current().forEach(subscription => {
+                if (!subscription.events.includes(ALL_EVENTS) && !subscription.events.includes(payload.type)) return;
+
+                this.enqueue(subscription, payload);
+                queued++;
+            });
+        });
+
+        if (queued > 0) this.save();
+        return queued;
+    }
+
+    /**
+     * Send a ping event to a subscription
+     * @param {string} id - Subscription ID
+     * @returns {Object|null} The queued delivery, or null for unknown IDs
+     */
+    ping(id) {
+        const subscription = this.current().get(id);
+        if (!subscription) return null;
+
+        const delivery = this.enqueue(subscription, {
+            id: `evt_ping_${crypto.randomBytes(4).toString('hex')}`,
+            type: PING_EVENT,
+            created_at: new Date().toISOString(),
+            data: { subscription_id: id }
+        });
+        this.save();
+
+        return delivery;
+    }
+
+    /**
+     * Deliver the payload of a logged delivery again, as a new delivery
+     * @param {string} id - Subscription ID
+     * @param {string} deliveryId - Delivery to replay
+     * @returns {Object|null} The queued delivery, or null for unknown IDs
+     */
+    replay(id, deliveryId) {
+        const subscription = this.current().get(id);
+        const original = subscription?.deliveries.find(delivery => delivery.id === deliveryId);
+        if (!original) return null;
+
+        const delivery = this.enqueue(subscription, original.payload, { replay_of: original.id });
+        this.save();
+
+        return delivery;
+    }
+
+    /**
+     * Log a delivery on a subscription and queue its first attempt
+     * (callers save the registry)
+     * @param {Object} subscription - Stored subscription
+     * @param {Object} payload - Event payload
+     * @param {Object} [extra] - Additional delivery fields
+     * @returns {Object} The delivery
+     */
+    enqueue(subscription, payload, extra = {}) {
+        const delivery = {
+            id: `dlv_${crypto.randomBytes(8).toString('hex')}`,
+            event: payload.type,
+            ...extra,
+            status: 'pending',
+            created_at: new Date().toISOString(),
+            next_attempt_at: new Date().toISOString(),
+            attempts: [],
+            payload
+        };
+
+        subscription.deliveries.unshift(delivery);
+        this.trim(subscription);
+        this.schedule(subscription, delivery);
+
+        return delivery;
+    }
+
+    /**
+     * Drop all but the newest MAX_LOGGED_DELIVERIES finished deliveries.
+     * Pending deliveries are kept until they finish, so everything still
+     * being retried can be inspected and replayed.
+     * @param {Object} subscription - Stored subscription
+     */
+    trim(subscription) {
+        let finished = 0;
+        subscription.deliveries = subscription.deliveries.filter(delivery => delivery.status === 'pending' || ++finished <= MAX_LOGGED_DELIVERIES);
+    }
+
+    /**
+     * Queue the next attempt of a delivery for its next_attempt_at
+     * @param {Object} subscription - Stored subscription
+     * @param {Object} delivery - Pending delivery
+     */
+    schedule(subscription, delivery) {
+        const delay = Math.max(0, Date.parse(delivery.next_attempt_at) - Date.now());
+        const timer = setTimeout(() => {
+            this.timers.delete(delivery.id);
+
+            if (!this.queues.has(subscription)) this.queues.set(subscription, { active: 0, ready: [] });
+            this.queues.get(subscription).ready.push(delivery);
+            this.drain(subscription);
+        }, delay);
+
+        timer.unref();
+        this.timers.set(delivery.id, timer);
+    }
+
+    /**
+     * Start due deliveries of a subscription, oldest first, while fewer than
+     * MAX_CONCURRENT_DELIVERIES of its requests are in flight, so a bulk
+     * change does not flood the receiver
+     * @param {Object} subscription - Stored subscription
+     */
+    drain(subscription) {
+        const queue = this.queues.get(subscription);
+        if (!queue) return;
+
+        while (queue.active < MAX_CONCURRENT_DELIVERIES && queue.ready.length > 0) {
+            queue.active++;
+            this.attempt(subscription, queue.ready.shift()).finally(() => {
+                queue.active--;
+                this.drain(subscription);
+            });
+        }
+
+        // Deleted subscriptions and reloads replace the queue; idle queues are dropped
+        if (queue.active === 0 && queue.ready.length === 0 && this.queues.get(subscription) === queue) {
+            this.queues.delete(subscription);
+        }
+    }
+
+    /**
+     * Send a delivery once, log the attempt and schedule a retry on failure.
+     * Any 2xx response counts as delivered.
+     * @param {Object} subscription - Stored subscription
+     * @param {Object} delivery - Pending delivery
+     * @returns {Promise<void>}
+     */
+    async attempt(subscription, delivery) {
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const started = Date.now();
+        const attempt = { at: new Date().toISOString() };
+
+        try {
+            const response = await postJson(subscription.url, body, {
+                'X-Webhook-Id': subscription.id,
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Delivery': delivery.id,
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': sign(subscription.secret, timestamp, body)
+            });
+            Object.assign(attempt, { status_code: response.status, response_body: response.body });
+        } catch (error) {
+            attempt.error = error.message;
+        }
+
+        attempt.duration_ms = Date.now() - started;
+        delivery.attempts.push(attempt);
+
+        // The subscription may have been deleted while the request was in flight
+        if (this.current().get(subscription.id) !== subscription) return;
+
+        if (attempt.status_code >= 200 && attempt.status_code < 300) {
+            delivery.status = 'succeeded';
+            delivery.next_attempt_at = null;
+            this.trim(subscription);
+        } else if (delivery.attempts.length >= MAX_ATTEMPTS) {
+            delivery.status = 'failed';
+            delivery.next_attempt_at = null;
+            this.trim(subscription);
+            console.error(`[Webhooks] Delivery ${delivery.id} to ${subscription.url} failed after ${MAX_ATTEMPTS} attempts`);
+        } else {
+            delivery.next_attempt_at = new Date(Date.now() + RETRY_BASE_MS * 2 ** (delivery.attempts.length - 1)).toISOString();
+            this.schedule(subscription, delivery);
+        }
+
+        try {
+            this.save();
+        } catch (error) {
+            console.error('Error saving webhook deliveries:', error);
+        }
+    }
+}
+
+module.exports = new WebhookRegistry();
+module.exports.WebhookRegistry = WebhookRegistry;
+module.exports.EVENT_TYPES = EVENT_TYPES;
+module.exports.PING_EVENT = PING_EVENT;
+module.exports.ALL_EVENTS = ALL_EVENTS;
+module.exports.DELIVERY_STATUSES = DELIVERY_STATUSES;
+module.exports.MAX_ATTEMPTS = MAX_ATTEMPTS;
+module.exports.sign = sign;
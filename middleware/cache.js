@@ -0,0 +1,73 @@
+/**
+ * HTTP Caching Middleware for Stranger Things API
+ * Cache-Control policies per route, Last-Modified from the data files
+ * and strong ETags tied to the dataset version
+ */
+
+const crypto = require('crypto');
+const store = require('../lib/dataStore');
+
+// ==================== CACHE POLICIES ====================
+
+const API_MAX_AGE = parseInt(process.env.API_CACHE_MAX_AGE) || 300; // 5 minutes
+const ASSET_MAX_AGE = parseInt(process.env.ASSET_CACHE_MAX_AGE) || 31536000; // 1 year
+
+/**
+ * Cache policies by name. `lastModified` marks responses built from the
+ * dataset, which get a Last-Modified header from the data file mtimes.
+ */
+const CACHE_POLICIES = {
+    // Images never change under the same URL
+    assets: { cacheControl: `public, max-age=${ASSET_MAX_AGE}, immutable` },
+    // Dataset responses: cache briefly, then revalidate with ETag / Last-Modified
+    data: { cacheControl: `public, max-age=${API_MAX_AGE}`, lastModified: true },
+    // Stand-ins for missing images: short, so the real file shows up once added
+    placeholder: { cacheControl: `public, max-age=${API_MAX_AGE}` },
+    // Live status: always revalidate
+    live: { cacheControl: 'no-cache' },
+    // A different answer on every request
+    noStore: { cacheControl: 'no-store' }
+};
+
+/**
+ * Apply a cache policy to the routes it is mounted on. Later policies
+ * override earlier ones, so a route can narrow the policy of its mount point.
+ * @param {string} name - Key of CACHE_POLICIES
+ */
+const cachePolicy = (name) => {
+    const policy = CACHE_POLICIES[name];
+    if (!policy) throw new Error(`Unknown cache policy: ${name}`);
+
+    return (req, res, next) => {
+        res.set('Cache-Control', policy.cacheControl);
+
+        if (policy.lastModified) {
+            res.set('Last-Modified', new Date(store.current().lastModified).toUTCString());
+        } else {
+            res.removeHeader('Last-Modified');
+        }
+
+        next();
+    };
+};
+
+// ==================== ETAGS ====================
+
+/**
+ * Strong ETag generator for Express (`app.set('etag', generateEtag)`).
+ * Combines the dataset version with a hash of the serialized payload, so
+ * tags change whenever the data or the response shape does. Express
+ * answers matching If-None-Match / If-Modified-Since requests with 304.
+ * @param {string|Buffer} body - Response body
+ * @returns {string} Quoted ETag
+ */
+const generateEtag = (body) => {
+    const hash = crypto.createHash('sha1').update(body).digest('base64url').substring(0, 16);
+    return `"${store.current().version}-${hash}"`;
+};
+
+module.exports = {
+    CACHE_POLICIES,
+    cachePolicy,
+    generateEtag
+};
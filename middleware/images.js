@@ -0,0 +1,84 @@
+/**
+ * Image Resizing Middleware for Stranger Things API
+ * Serves resized and transcoded versions of /images when the request asks
+ * for them (`?w=200&h=200&fit=cover&format=avif`) and placeholders for
+ * missing images; plain requests fall through to the static files
+ */
+
+const { CACHE_POLICIES } = require('./cache');
+const { isMissingImage } = require('../lib/assetIntegrity');
+const {
+    OUTPUT_FORMATS,
+    resolveSource,
+    getPlaceholderSource,
+    parseTransform,
+    getTransformedImage
+} = require('../lib/imageTransform');
+
+const TRANSFORM_PARAMS = ['w', 'h', 'fit', 'format'];
+
+/**
+ * Choose the output format from the Accept header. The source format is
+ * offered first, so clients that accept anything get it unchanged.
+ * @param {Object} req - Express request
+ * @param {string} sourceFormat - Format of the source image
+ * @returns {string} Key of OUTPUT_FORMATS
+ */
+const pickImageFormat = (req, sourceFormat) => {
+    const formats = [...new Set([sourceFormat, ...Object.keys(OUTPUT_FORMATS)])];
+    const accepted = req.accepts(formats.map(format => OUTPUT_FORMATS[format].type));
+
+    return formats.find(format => OUTPUT_FORMATS[format].type === accepted) || sourceFormat;
+};
+
+/**
+ * Resize, crop and transcode images on request, and stand in a branded
+ * placeholder for images the dataset references but that do not exist.
+ * Mount on /images before express.static.
+ */
+const serveImages = async (req, res, next) => {
+    const wantsTransform = TRANSFORM_PARAMS.some(param => req.query[param] !== undefined);
+    let source = resolveSource(req.path);
+
+    if (source && !wantsTransform) return next();
+    if (!source) {
+        if (!isMissingImage(`${req.baseUrl}${req.path}`)) return next();
+        source = getPlaceholderSource(req.path);
+    }
+
+    const { options, error } = parseTransform(req.query);
+    if (error) {
+        return res.status(400).json({
+            error: 'Bad Request',
+            message: error,
+            code: 400
+        });
+    }
+
+    if (!options.format) {
+        if (wantsTransform) {
+            res.vary('Accept');
+            options.format = pickImageFormat(req, source.format);
+        } else {
+            options.format = source.format;
+        }
+    }
+
+    try {
+        const file = await getTransformedImage(source, options);
+        // Only images are cached for long; errors keep the no-store of the mount point.
+        // Placeholders are short-lived, so the real image shows up once it is added.
+        res.set('Cache-Control', CACHE_POLICIES[source.placeholder ? 'placeholder' : 'assets'].cacheControl);
+        if (source.placeholder) res.set('X-Image-Placeholder', 'true');
+        res.type(OUTPUT_FORMATS[options.format].type);
+        // The default cache directory is .cache/, which send refuses as a dotfile
+        res.sendFile(file, { cacheControl: false, dotfiles: 'allow' });
+    } catch (error) {
+        console.error('Error transforming image:', error);
+        res.status(500).json({ error: 'Internal server error', message: error.message, code: 500 });
+    }
+};
+
+module.exports = {
+    serveImages
+};
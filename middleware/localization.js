@@ -0,0 +1,52 @@
+/**
+ * Localization Middleware for Stranger Things API
+ * Picks the language of a request from `?lang=` or the Accept-Language
+ * header, among the locales of the dataset (see data/locales)
+ */
+
+const store = require('../lib/dataStore');
+
+/**
+ * Pick the locale of a request
+ * @param {Object} req - Express request
+ * @returns {Object} { locale } or { message } for an unsupported `?lang=`
+ */
+const pickLocale = (req) => {
+    const locales = store.locales();
+
+    if (req.query.lang !== undefined) {
+        // Regional variants share their language's translation: es-MX => es
+        const lang = String([].concat(req.query.lang).pop()).toLowerCase().split(/[-_]/)[0];
+        if (locales.includes(lang)) return { locale: lang };
+
+        return { message: `Invalid lang parameter. Must be one of: ${locales.join(', ')}.` };
+    }
+
+    // Unsupported languages fall back to the default rather than 406
+    return { locale: req.acceptsLanguages(locales) || store.DEFAULT_LOCALE };
+};
+
+/**
+ * Set `req.locale` and answer in it: Content-Language names the language,
+ * and responses vary by Accept-Language
+ */
+const negotiateLanguage = (req, res, next) => {
+    res.vary('Accept-Language');
+
+    const { locale, message } = pickLocale(req);
+    if (!locale) {
+        return res.status(400).json({
+            error: 'Bad Request',
+            message,
+            code: 400
+        });
+    }
+
+    req.locale = locale;
+    res.set('Content-Language', locale);
+    next();
+};
+
+module.exports = {
+    negotiateLanguage
+};
@@ -0,0 +1,116 @@
+/**
+ * Content Negotiation Middleware for Stranger Things API
+ * Lets list and detail endpoints answer in CSV, NDJSON, YAML or XML
+ * based on the Accept header or a `?format=` override
+ */
+
+const { RESOURCES } = require('../lib/resources');
+const { FORMATS, toCsv, toNdjson, toYaml, toXml } = require('../lib/formats');
+
+// Pagination info moves into these headers for non-JSON formats
+// (the page links are already in the Link header)
+const PAGINATION_HEADERS = {
+    count: 'X-Total-Count',
+    pages: 'X-Total-Pages',
+    current_page: 'X-Current-Page',
+    per_page: 'X-Per-Page',
+    next_cursor: 'X-Next-Cursor',
+    prev_cursor: 'X-Prev-Cursor'
+};
+
+const MEDIA_TYPES = Object.entries(FORMATS).flatMap(([format, types]) => types.map(type => ({ format, type })));
+
+/**
+ * Pick the response format of a request
+ * @param {Object} req - Express request
+ * @returns {Object} { format } or { status, message } when none fits
+ */
+const pickFormat = (req) => {
+    if (req.query.format !== undefined) {
+        const format = String([].concat(req.query.format).pop()).toLowerCase();
+        if (FORMATS[format]) return { format };
+
+        return { status: 400, message: `Invalid format parameter. Must be one of: ${Object.keys(FORMATS).join(', ')}.` };
+    }
+
+    // Browsers list application/xml in Accept; anything asking for HTML gets JSON
+    const accepted = req.accepts([...MEDIA_TYPES.map(({ type }) => type), 'text/html']);
+    if (accepted === 'text/html') return { format: 'json' };
+
+    const match = MEDIA_TYPES.find(({ type }) => type === accepted);
+    if (match) return { format: match.format };
+
+    return {
+        status: 406,
+        message: `None of the requested media types is available. Supported: ${MEDIA_TYPES.map(({ type }) => type).join(', ')}.`
+    };
+};
+
+/**
+ * Encode a response body in a non-JSON format
+ * @param {string} format - Key of FORMATS
+ * @param {Object|Array} data - A record, or the results of a list
+ * @param {string} collection - Collection name, for XML element names
+ * @returns {string} Encoded body
+ */
+const encode = (format, data, collection) => {
+    const records = [].concat(data);
+    const { singular } = RESOURCES[collection];
+
+    switch (format) {
+        case 'csv':
+            return toCsv(records);
+        case 'ndjson':
+            return toNdjson(records);
+        case 'yaml':
+            return toYaml(data);
+        default:
+            return Array.isArray(data) ? toXml(data, collection, singular) : toXml(data, singular);
+    }
+};
+
+/**
+ * Negotiate the format of a list or detail response. For non-JSON formats
+ * list bodies carry only the records and their `info` goes into headers.
+ * Error responses stay JSON.
+ * @param {string} collection - Collection name
+ */
+const negotiateFormat = (collection) => (req, res, next) => {
+    res.vary('Accept');
+
+    const { format, status, message } = pickFormat(req);
+    if (!format) {
+        return res.status(status).json({
+            error: status === 406 ? 'Not Acceptable' : 'Bad Request',
+            message,
+            code: status
+        });
+    }
+
+    if (format === 'json') return next();
+
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+        if (res.statusCode >= 400) return sendJson(body);
+
+        const isList = Boolean(body?.info) && Array.isArray(body.results);
+        if (isList) {
+            Object.entries(PAGINATION_HEADERS).forEach(([key, header]) => {
+                if (body.info[key] !== undefined && body.info[key] !== null) res.set(header, String(body.info[key]));
+            });
+        }
+
+        // Batch responses list unknown IDs next to the results
+        if (Array.isArray(body?.missing)) res.set('X-Missing-Ids', body.missing.join(','));
+
+        res.type(FORMATS[format][0]);
+        return res.send(encode(format, isList ? body.results : body, collection));
+    };
+
+    next();
+};
+
+module.exports = {
+    PAGINATION_HEADERS,
+    negotiateFormat
+};
@@ -3,18 +3,41 @@
  * Implements rate limiting, request validation, and security headers
  */
 
-const rateLimit = require('express-rate-limit');
+const crypto = require('crypto');
+const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
 const hpp = require('hpp');
+const { parseSort, parseFilters } = require('../lib/query');
+const { RESOURCES, getSortableFields } = require('../lib/resources');
+const { parseFields, isValidFieldPath, getFieldNames } = require('../lib/fields');
+const { EXPANSIONS, parseExpand, validateExpandPaths } = require('../lib/relations');
+const { parseCursor } = require('../lib/pagination');
+const { SLUG_PATTERN } = require('../lib/slugs');
+const store = require('../lib/dataStore');
+const { API_VERSIONS, CURRENT_VERSION } = require('../lib/versions');
+const apiKeys = require('../lib/apiKeys');
 
 // ==================== RATE LIMITING ====================
 
+// Suggestions have their own limiter (suggestLimiter) tuned for keystroke traffic
+const isSuggestRequest = (req) => req.originalUrl.split('?')[0].replace(/^\/api\/v\d+\//, '/api/') === '/api/search/suggest';
+
+// Requests with an API key are counted per key (see authenticateApiKey), others per IP
+const rateLimitKey = (req) => req.apiKey ? `key:${req.apiKey.id}` : ipKeyGenerator(req.ip);
+
+/**
+ * Limit of a limiter for the tier of the request
+ * @param {string} limiter - Limiter name in TIERS (general, heavy, random, suggest)
+ */
+const tierLimit = (limiter) => (req) => apiKeys.TIERS[req.tier || apiKeys.ANONYMOUS_TIER][limiter];
+
 /**
  * General API rate limiter
- * Limits: 100 requests per 15 minutes per IP
+ * Limits: 100 requests per 15 minutes per IP (more for API key tiers)
  */
 const generalLimiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100, // Limit each IP to 100 requests per windowMs
+    max: tierLimit('general'),
+    keyGenerator: rateLimitKey,
     message: {
         error: 'Too Many Requests',
         message: 'You have exceeded the rate limit. Please try again in 15 minutes.',
@@ -23,6 +46,7 @@ const generalLimiter = rateLimit({
     },
     standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
     legacyHeaders: false, // Disable the `X-RateLimit-*` headers
+    skip: (req) => isSuggestRequest(req),
     handler: (req, res, next, options) => {
         res.status(options.statusCode).json(options.message);
     }
@@ -30,11 +54,12 @@ const generalLimiter = rateLimit({
 
 /**
  * Stricter rate limiter for random endpoints
- * Limits: 30 requests per minute per IP
+ * Limits: 30 requests per minute per IP (more for API key tiers)
  */
 const randomEndpointLimiter = rateLimit({
     windowMs: 1 * 60 * 1000, // 1 minute
-    max: 30, // Limit each IP to 30 requests per minute
+    max: tierLimit('random'),
+    keyGenerator: rateLimitKey,
     message: {
         error: 'Too Many Requests',
         message: 'Random endpoint rate limit exceeded. Please wait before trying again.',
@@ -47,11 +72,12 @@ const randomEndpointLimiter = rateLimit({
 
 /**
  * Very strict rate limiter for abuse prevention
- * Limits: 1000 requests per hour per IP (for heavy users)
+ * Limits: 1000 requests per hour per IP (more for API key tiers)
  */
 const heavyUsageLimiter = rateLimit({
     windowMs: 60 * 60 * 1000, // 1 hour
-    max: 1000, // Limit each IP to 1000 requests per hour
+    max: tierLimit('heavy'),
+    keyGenerator: rateLimitKey,
     message: {
         error: 'Rate Limit Exceeded',
         message: 'You have made too many requests in the last hour. Please try again later.',
@@ -59,9 +85,54 @@ const heavyUsageLimiter = rateLimit({
         retryAfter: '1 hour'
     },
     standardHeaders: true,
+    legacyHeaders: false,
+    skip: (req) => isSuggestRequest(req)
+});
+
+/**
+ * Rate limiter for search-as-you-type suggestions
+ * Limits: 300 requests per minute per IP (one request per keystroke,
+ * more for API key tiers).
+ * Suggestion requests are exempt from the general and heavy usage limiters.
+ */
+const suggestLimiter = rateLimit({
+    windowMs: 1 * 60 * 1000, // 1 minute
+    max: tierLimit('suggest'),
+    keyGenerator: rateLimitKey,
+    message: {
+        error: 'Too Many Requests',
+        message: 'Suggestion rate limit exceeded. Please slow down.',
+        code: 429,
+        retryAfter: '1 minute'
+    },
+    standardHeaders: true,
     legacyHeaders: false
 });
 
+/**
+ * Rate limiter for failed authentication, against guessing API and admin keys
+ * Limits: 20 rejected keys per 15 minutes per IP. Only requests answered 401
+ * count; once the limit is hit, every request sending a key gets 429 until the
+ * window ends. Mount before authenticateApiKey.
+ */
+const failedAuthLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 20,
+    keyGenerator: (req) => ipKeyGenerator(req.ip),
+    message: {
+        error: 'Too Many Requests',
+        message: 'Too many requests with an invalid key. Please try again in 15 minutes.',
+        code: 429,
+        retryAfter: '15 minutes'
+    },
+    // The general limiters report the RateLimit-* headers
+    standardHeaders: false,
+    legacyHeaders: false,
+    skip: (req) => req.headers['x-api-key'] === undefined && req.headers.authorization === undefined,
+    skipSuccessfulRequests: true,
+    requestWasSuccessful: (req, res) => res.statusCode !== 401
+});
+
 // ==================== REQUEST VALIDATION ====================
 
 /**
@@ -90,16 +161,112 @@ const validatePagination = (req, res, next) => {
     next();
 };
 
+// Shared 400 response for malformed IDs and slugs
+const sendInvalidId = (res) => res.status(400).json({
+    error: 'Bad Request',
+    message: 'Invalid ID parameter. Must be a positive integer or a slug such as "jim-hopper".',
+    code: 400
+});
+
+/**
+ * Validate an ID-or-slug parameter and resolve slugs to IDs, so handlers
+ * can keep reading `req.params.id` as a number. A previous slug of a
+ * renamed record redirects (301) to the same URL with the current slug.
+ * @param {string} collection - Collection name
+ */
+const validateId = (collection) => (req, res, next) => {
+    const { id } = req.params;
+
+    if (/^\d+$/.test(id)) {
+        if (parseInt(id) < 1) return sendInvalidId(res);
+        return next();
+    }
+
+    if (!SLUG_PATTERN.test(id)) return sendInvalidId(res);
+
+    const match = store.findBySlug(collection, id);
+    if (!match) {
+        return res.status(404).json({
+            error: 'Not Found',
+            message: `No ${RESOURCES[collection].singular} with slug "${id}"`,
+            code: 404
+        });
+    }
+
+    if (!match.canonical) {
+        const [pathname, search] = req.originalUrl.split(/\?(.*)/s);
+        const segments = pathname.split('/');
+        const position = segments.findIndex((segment, index) => segments[index - 1] === collection && segment === id);
+        segments[position] = match.record.slug;
+
+        return res.redirect(301, segments.join('/') + (search ? `?${search}` : ''));
+    }
+
+    req.params.id = String(match.record.id);
+    next();
+};
+
+/**
+ * Validate cursor parameter: it must come from a previous response with
+ * the same sort and filters, and cannot be combined with page
+ */
+const validateCursor = (req, res, next) => {
+    if (req.query.cursor === undefined) return next();
+
+    if (req.query.page !== undefined) {
+        return res.status(400).json({
+            error: 'Bad Request',
+            message: 'Use either page or cursor, not both.',
+            code: 400
+        });
+    }
+
+    const { error } = parseCursor(req.query, req.locale);
+    if (error) {
+        return res.status(400).json({
+            error: 'Bad Request',
+            message: error,
+            code: 400
+        });
+    }
+
+    next();
+};
+
+/**
+ * Validate sort parameter against the sortable fields of a collection
+ * @param {string} collection - Collection name
+ */
+const validateSort = (collection) => (req, res, next) => {
+    const sortableFields = getSortableFields(collection);
+    const unknownFields = parseSort(req.query.sort)
+        .map(({ field }) => field)
+        .filter(field => !sortableFields.includes(field));
+
+    if (unknownFields.length > 0) {
+        return res.status(400).json({
+            error: 'Bad Request',
+            message: `Invalid sort field(s): ${unknownFields.join(', ')}.`,
+            code: 400,
+            sortable_fields: sortableFields
+        });
+    }
+
+    next();
+};
+
 /**
- * Validate ID parameter
+ * Validate filter parameters (including operators such as `age[gte]=15`)
+ * against the field types of a collection
+ * @param {string} collection - Collection name
  */
-const validateId = (req, res, next) => {
-    const id = parseInt(req.params.id);
+const validateFilters = (collection) => (req, res, next) => {
+    const { errors } = parseFilters(req.query, collection);
 
-    if (isNaN(id) || id < 1) {
+    if (errors.length > 0) {
         return res.status(400).json({
             error: 'Bad Request',
-            message: 'Invalid ID parameter. Must be a positive integer.',
+            message: errors.join(' '),
             code: 400
         });
     }
@@ -107,6 +274,48 @@ const validateId = (req, res, next) => {
     next();
 };
 
+/**
+ * Validate the fields parameter against one or more collections' schemas
+ * @param {string|string[]} collections - Collection name(s) the response can contain
+ * @param {string[]} [extraFields] - Additional top-level fields the response adds
+ */
+const validateFields = (collections, extraFields = []) => (req, res, next) => {
+    const names = [].concat(collections);
+    const invalidFields = parseFields(req.query.fields).filter(field =>
+        !extraFields.includes(field) && !names.some(collection => isValidFieldPath(field, collection))
+    );
+
+    if (invalidFields.length > 0) {
+        return res.status(400).json({
+            error: 'Bad Request',
+            message: `Invalid field(s): ${invalidFields.join(', ')}.`,
+            code: 400,
+            available_fields: [...new Set([...names.flatMap(getFieldNames), ...extraFields])]
+        });
+    }
+
+    next();
+};
+
+/**
+ * Validate the expand parameter against a collection's relations
+ * @param {string} collection - Collection name
+ */
+const validateExpand = (collection) => (req, res, next) => {
+    const errors = validateExpandPaths(parseExpand(req.query.expand), collection);
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            error: 'Bad Request',
+            message: errors.join(' '),
+            code: 400,
+            available_expansions: Object.keys(EXPANSIONS[collection])
+        });
+    }
+
+    next();
+};
+
 /**
  * Sanitize query parameters
  * Removes potentially dangerous characters
@@ -133,13 +342,10 @@ const sanitizeQuery = (req, res, next) => {
  * Additional security headers
  */
 const securityHeaders = (req, res, next) => {
-    // Prevent caching of sensitive data
-    res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
-    res.setHeader('Pragma', 'no-cache');
-    res.setHeader('Expires', '0');
+    // Caching is handled per route by middleware/cache.js
 
-    // Add custom API headers
-    res.setHeader('X-API-Version', '1.0.0');
+    // Add custom API headers (API routes replace X-API-Version with the requested version)
+    res.setHeader('X-API-Version', API_VERSIONS[CURRENT_VERSION].version);
     res.setHeader('X-Powered-By', 'Stranger Things API');
 
     next();
@@ -157,33 +363,68 @@ const corsOptions = {
         // For now, we allow all origins for public API access
         callback(null, true);
     },
-    methods: ['GET', 'HEAD', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
-    exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'X-API-Version'],
+    methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'], // Writes are for /api/graphql and /api/admin
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'If-Match', 'If-None-Match', 'If-Modified-Since'],
+    exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'X-API-Version', 'Deprecation', 'Sunset', 'Link', 'X-Total-Count', 'X-Total-Pages', 'X-Current-Page', 'X-Per-Page', 'X-Next-Cursor', 'X-Prev-Cursor', 'X-Missing-Ids', 'X-Image-Placeholder', 'ETag', 'Location'],
     credentials: false,
     maxAge: 86400 // 24 hours
 };
 
-// ==================== API KEY VALIDATION (OPTIONAL) ====================
+// ==================== AUTHENTICATION ====================
 
 /**
- * Optional API key validation middleware
- * If X-API-Key header is provided, validate it
- * This is optional - the API works without keys too
+ * API key authentication
+ * Requests without an X-API-Key header are anonymous. A key must be in the
+ * registry (lib/apiKeys.js) and not revoked; its tier sets the rate limits.
  */
-const optionalApiKey = (req, res, next) => {
-    const apiKey = req.headers['x-api-key'];
+const authenticateApiKey = (req, res, next) => {
+    const key = req.headers['x-api-key'];
+    req.tier = apiKeys.ANONYMOUS_TIER;
 
-    if (apiKey) {
-        // For now, just log that an API key was provided
-        // In production, you could validate against a database
-        req.hasApiKey = true;
-        req.apiKey = apiKey;
+    if (key === undefined) return next();
 
-        // Log API key usage (in production, store this for analytics)
-        console.log(`[API Key Usage] Key: ${apiKey.substring(0, 8)}... | Endpoint: ${req.path}`);
-    } else {
-        req.hasApiKey = false;
+    const apiKey = apiKeys.find(key);
+
+    if (!apiKey || apiKey.status === 'revoked') {
+        return res.status(401).json({
+            error: 'Unauthorized',
+            message: apiKey ? 'This API key has been revoked.' : 'Invalid API key.',
+            code: 401
+        });
+    }
+
+    req.apiKey = apiKey;
+    req.tier = apiKey.tier;
+    next();
+};
+
+/**
+ * Admin authentication for /api/admin
+ * Requires `Authorization: Bearer <ADMIN_API_KEY>`; admin endpoints are
+ * disabled when ADMIN_API_KEY is not set.
+ */
+const requireAdmin = (req, res, next) => {
+    const adminKey = process.env.ADMIN_API_KEY;
+
+    if (!adminKey) {
+        return res.status(503).json({
+            error: 'Service Unavailable',
+            message: 'Admin endpoints are disabled. Set ADMIN_API_KEY to enable them.',
+            code: 503
+        });
+    }
+
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    // Comparing hashes keeps the comparison constant-time whatever the token length
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+
+    if (scheme !== 'Bearer' || !token || !crypto.timingSafeEqual(digest(token), digest(adminKey))) {
+        res.set('WWW-Authenticate', 'Bearer realm="admin"');
+        return res.status(401).json({
+            error: 'Unauthorized',
+            message: 'A valid admin key is required: Authorization: Bearer <ADMIN_API_KEY>.',
+            code: 401
+        });
     }
 
     next();
@@ -194,15 +435,25 @@ module.exports = {
     generalLimiter,
     randomEndpointLimiter,
     heavyUsageLimiter,
+    suggestLimiter,
+    failedAuthLimiter,
 
     // Validation
     validatePagination,
+    validateCursor,
     validateId,
+    validateSort,
+    validateFilters,
+    validateFields,
+    validateExpand,
     sanitizeQuery,
 
     // Security
     securityHeaders,
     corsOptions,
     hpp: hpp(),
-    optionalApiKey
+
+    // Authentication
+    authenticateApiKey,
+    requireAdmin
 };
@@ -0,0 +1,89 @@
+/**
+ * API Versioning Middleware for Stranger Things API
+ * Resolves the API version of a request from the path (`/api/v1/...`) or
+ * an Accept parameter (`Accept: application/json; version=1`), then hands
+ * the request to the shared `/api/...` routes with `req.apiVersion` set
+ */
+
+const { API_VERSIONS, CURRENT_VERSION, getVersionStatus } = require('../lib/versions');
+
+// `/v1` or `/v1/...` relative to the /api mount point
+const VERSION_PATH = /^\/(v\d+)(?=[/?]|$)/;
+
+/**
+ * Read the version parameter from the Accept header and remove it, so
+ * content negotiation sees plain media types
+ * @param {Object} req - Express request
+ * @returns {string|null} Version name ("v1"), or null without a version parameter
+ */
+const takeAcceptVersion = (req) => {
+    const accept = req.headers.accept;
+    if (!accept) return null;
+
+    let version = null;
+    const ranges = accept.split(',').map(range => {
+        const [type, ...params] = range.split(';');
+        const kept = params.filter(param => {
+            const [key, value = ''] = param.split('=').map(part => part.trim());
+            if (key.toLowerCase() !== 'version') return true;
+
+            version = version || `v${value.replace(/^"|"$/g, '').replace(/^v/i, '')}`;
+            return false;
+        });
+        return [type, ...kept].join(';');
+    });
+
+    if (version) req.headers.accept = ranges.join(',');
+    return version;
+};
+
+/**
+ * Resolve the API version of a request. Mount on /api before the routes.
+ * Unknown versions get 404 and versions past their sunset 410.
+ */
+const resolveApiVersion = (req, res, next) => {
+    const match = req.url.match(VERSION_PATH);
+    let name;
+
+    if (match) {
+        name = match[1];
+        req.url = req.url.slice(match[0].length) || '/';
+        if (req.url.startsWith('?')) req.url = `/${req.url}`;
+    } else {
+        res.vary('Accept');
+        name = takeAcceptVersion(req) || CURRENT_VERSION;
+    }
+
+    const info = API_VERSIONS[name];
+    if (!info) {
+        return res.status(404).json({
+            error: 'Not Found',
+            message: `Unknown API version "${name}". Supported versions: ${Object.keys(API_VERSIONS).join(', ')}.`,
+            code: 404
+        });
+    }
+
+    const successorUrl = info.successor && `${req.protocol}://${req.get('host')}/api/${info.successor}${req.url}`;
+
+    if (getVersionStatus(name) === 'retired') {
+        if (successorUrl) res.append('Link', `<${successorUrl}>; rel="successor-version"`);
+        return res.status(410).json({
+            error: 'Gone',
+            message: `API ${name} was retired on ${info.sunset}.${info.successor ? ` Use ${info.successor} instead.` : ''}`,
+            code: 410
+        });
+    }
+
+    req.apiVersion = name;
+    res.set('X-API-Version', info.version);
+
+    if (info.deprecated) res.set('Deprecation', `@${Math.floor(Date.parse(info.deprecated) / 1000)}`);
+    if (info.sunset) res.set('Sunset', new Date(info.sunset).toUTCString());
+    if (successorUrl) res.append('Link', `<${successorUrl}>; rel="successor-version"`);
+
+    next();
+};
+
+module.exports = {
+    resolveApiVersion
+};
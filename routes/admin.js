@@ -0,0 +1,927 @@
+/**
+ * Admin Routes for Stranger Things API
+ * Issue, rotate and revoke API keys, manage webhooks and their deliveries,
+ * and create, change and delete records of the dataset. Every route requires the admin key (see requireAdmin in
+ * middleware/security.js).
+ */
+
+const express = require('express');
+const { body, param, query, checkExact, validationResult } = require('express-validator');
+const security = require('../middleware/security');
+const cache = require('../middleware/cache');
+const apiKeys = require('../lib/apiKeys');
+const webhooks = require('../lib/webhooks');
+const store = require('../lib/dataStore');
+const dataWriter = require('../lib/dataWriter');
+const { DATA_SCHEMAS } = require('../lib/dataValidation');
+
+const router = express.Router();
+
+// no-store first, so authentication failures are not cached either
+router.use(cache.cachePolicy('noStore'), security.requireAdmin);
+
+/**
+ * Answer 400 with the messages of failed express-validator checks
+ */
+const validate = (req, res, next) => {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) return next();
+
+    res.status(400).json({
+        error: 'Bad Request',
+        message: errors.array().map(({ msg }) => msg).join(' '),
+        code: 400
+    });
+};
+
+const keyIdParam = param('id').matches(/^key_[0-9a-f]{12}$/).withMessage('Invalid key ID.');
+
+/**
+ * Answer 404 for key IDs that are not in the registry
+ * @param {Object} res - Express response
+ * @param {string} id - Key ID
+ */
+const keyNotFound = (res, id) => res.status(404).json({
+    error: 'Not Found',
+    message: `No API key with ID ${id}`,
+    code: 404
+});
+
+/**
+ * @swagger
+ * /api/admin/keys:
+ *   get:
+ *     summary: List API keys
+ *     description: All issued keys, newest first. Keys themselves are never returned, only their first characters.
+ *     tags: [Admin]
+ *     security:
+ *       - AdminAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       503:
+ *         description: Admin endpoints are disabled (ADMIN_API_KEY is not set)
+ *   post:
+ *     summary: Issue an API key
+ *     description: The key is in the response and is not shown again; only its hash is stored.
+ *     tags: [Admin]
+ *     security:
+ *       - AdminAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [owner]
+ *             properties:
+ *               owner:
+ *                 type: string
+ *                 example: 'hawkins-lab-dashboard'
+ *               tier:
+ *                 type: string
+ *                 enum: [free, pro]
+ *                 default: free
+ *     responses:
+ *       201:
+ *         description: Issued key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/IssuedApiKey'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/keys', (req, res) => {
+    try {
+        const data = apiKeys.list();
+        res.json({ count: data.length, data });
+    } catch (error) {
+        console.error('Error listing API keys:', error);
+        res.status(500).json({ error: 'Internal server error', message: error.message, code: 500 });
+    }
+});
+
+router.post('/keys', [
+    body('owner').isString().withMessage('owner must be a string.').bail()
+        .trim().isLength({ min: 1, max: 100 }).withMessage('owner must be 1-100 characters.'),
+    body('tier').optional().isIn(apiKeys.KEY_TIERS).withMessage(`tier must be one of: ${apiKeys.KEY_TIERS.join(', ')}.`)
+], validate, (req, res) => {
+    try {
+        const { key, record } = apiKeys.issue({ owner: req.body.owner, tier: req.body.tier || 'free' });
+        res.status(201).json({ key, data: record });
+    } catch (error) {
+        console.error('Error issuing API key:', error);
+        res.status(500).json({ error: 'Internal server error', message: error.message, code: 500 });
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/keys/{keyId}:
+ *   get:
+ *     summary: Get an API key
+ *     tags: [Admin]
+ *     security:
+ *       - AdminAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/keyIdParam'
+ *     responses:
+ *       200:
+ *         description: API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/keys/:id', keyIdParam, validate, (req, res) => {
+    const record = apiKeys.get(req.params.id);
+    if (!record) return keyNotFound(res, req.params.id);
+
+    res.json({ data: record });
+});
+
+/**
+ * @swagger
+ * /api/admin/keys/{keyId}/rotate:
+ *   post:
+ *     summary: Rotate an API key
+ *     description: |
+ *       Replace the key with a new one, shown in the response. The old key stops working at once;
+ *       ID, owner, tier and rate limit counters carry over. Revoked keys cannot be rotated (**409**).
+ *     tags: [Admin]
+ *     security:
+ *       - AdminAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/keyIdParam'
+ *     responses:
+ *       200:
+ *         description: New key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/IssuedApiKey'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The key is revoked
+ */
+router.post('/keys/:id/rotate', keyIdParam, validate, (req, res) => {
+    try {
+        const rotated = apiKeys.rotate(req.params.id);
+        if (!rotated) return keyNotFound(res, req.params.id);
+
+        res.json({ key: rotated.key, data: rotated.record });
+    } catch (error) {
+        if (error.code === 'KEY_REVOKED') {
+            return res.status(409).json({ error: 'Conflict', message: error.message, code: 409 });
+        }
+
+        console.error('Error rotating API key:', error);
+        res.status(500).json({ error: 'Internal server error', message: error.message, code: 500 });
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/keys/{keyId}/revoke:
+ *   post:
+ *     summary: Revoke an API key
+ *     description: Requests with a revoked key get **401**. Revoking an already revoked key changes nothing.
+ *     tags: [Admin]
+ *     security:
+ *       - AdminAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/keyIdParam'
+ *     responses:
+ *       200:
+ *         description: Revoked key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/keys/:id/revoke', keyIdParam, validate, (req, res) => {
+    try {
+        const record = apiKeys.revoke(req.params.id);
+        if (!record) return keyNotFound(res, req.params.id);
+
+        res.json({ data: record });
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+        res.status(500).json({ error: 'Internal server error', message: error.message, code: 500 });
+    }
+});
+
+// ==================== WEBHOOKS ====================
+
+const webhookIdParam = param('id').matches(/^wh_[0-9a-f]{12}$/).withMessage('Invalid webhook ID.');
+const deliveryIdParam = param('deliveryId').matches(/^dlv_[0-9a-f]{16}$/).withMessage('Invalid delivery ID.');
+
+const WEBHOOK_EVENTS = [webhooks.ALL_EVENTS, ...webhooks.EVENT_TYPES];
+
+/**
+ * Answer 404 for webhook IDs that are not registered
+ * @param {Object} res - Express response
+ * @param {string} id - Webhook ID
+ */
+const webhookNotFound = (res, id) => res.status(404).json({
+    error: 'Not Found',
+    message: `No webhook with ID ${id}`,
+    code: 404
+});
+
+/**
+ * @swagger
+ * /api/admin/webhooks:
+ *   get:
+ *     summary: List webhooks
+ *     description: All subscriptions, newest first, with the status of their last delivery. Secrets are not returned.
+ *     tags: [Admin]
+ *     security:
+ *       - AdminAuth: []
+ *     responses:
+ *       200:
+ *         description: Webhooks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Webhook'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *   post:
+ *     summary: Register a webhook
+ *     description: |
+ *       Subscribe a URL to event types such as `character.updated` or `quote.created` (`*` for all).
+ *       Every dataset change of those types is POSTed to the URL as JSON, signed with the secret
+ *       in the response, which is not shown again. See the README for verifying signatures.
+ *     tags: [Admin]
+ *     security:
+ *       - AdminAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [url, events]
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *                 example: 'https://hawkins-lab.example/hooks/stranger-things'
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ['character.updated', 'quote.created']
+ *               description:
+ *                 type: string
+ *                 example: 'Dashboard cache invalidation'
+ *     responses:
+ *       201:
+ *         description: Registered webhook and its signing secret
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 secret:
+ *                   type: string
+ *                   example: 'whsec_3q2-7wEAAAAk1sV9p0V4bU0m6C1nq2Rm'
+ *                 data:
+ *                   $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/webhooks', (req, res) => {
+    try {
+        const data = webhooks.list();
+        res.json({ count: data.length, data });
+    } catch (error) {
+        console.error('Error listing webhooks:', error);
+        res.status(500).json({ error: 'Internal server error', message: error.message, code: 500 });
+    }
+});
+
+router.post('/webhooks', checkExact([
+    body('url').isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+        .withMessage('url must be an http or https URL.'),
+    body('events').isArray({ min: 1 }).withMessage('events must be a non-empty array.'),
+    body('events.*').isIn(WEBHOOK_EVENTS).withMessage(`events must be * or any of: ${webhooks.EVENT_TYPES.join(', ')}.`),
+    body('description').optional({ values: 'null' }).isString().withMessage('description must be a string.').bail()
+        .trim().isLength({ max: 200 }).withMessage('description must be at most 200 characters.')
+], { locations: ['body'], message: 'Unknown fields: only url, events and description are accepted.' }), validate, (req, res) => {
+    try {
+        const { secret, subscription } = webhooks.create({
+            url: req.body.url,
+            events: req.body.events,
+            description: req.body.description
+        });
+
+        res.status(201).location(`${req.baseUrl}/webhooks/${subscription.id}`).json({ secret, data: subscription });
+    } catch (error) {
+        console.error('Error registering webhook:', error);
+        res.status(500).json({ error: 'Internal server error', message: error.message, code: 500 });
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/webhooks/{webhookId}:
+ *   get:
+ *     summary: Get a webhook
+ *     tags: [Admin]
+ *     security:
+ *       - AdminAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/webhookIdParam'
+ *     responses:
+ *       200:
+ *         description: Webhook
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Webhook'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *   delete:
+ *     summary: Delete a webhook
+ *     description: Stops all deliveries to the URL, pending retries included, and discards the delivery log.
+ *     tags: [Admin]
+ *     security:
+ *       - AdminAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/webhookIdParam'
+ *     responses:
+ *       204:
+ *         description: Deleted
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/webhooks/:id', webhookIdParam, validate, (req, res) => {
+    const subscription = webhooks.get(req.params.id);
+    if (!subscription) return webhookNotFound(res, req.params.id);
+
+    res.json({ data: subscription });
+});
+
+router.delete('/webhooks/:id', webhookIdParam, validate, (req, res) => {
+    try {
+        if (!webhooks.remove(req.params.id)) return webhookNotFound(res, req.params.id);
+
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error deleting webhook:', error);
+        res.status(500).json({ error: 'Internal server error', message: error.message, code: 500 });
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/webhooks/{webhookId}/deliveries:
+ *   get:
+ *     summary: List the deliveries of a webhook
+ *     description: |
+ *       Pending deliveries and the last 100 finished ones, newest first, with their payload and every
+ *       attempt. Failed attempts are retried with exponential backoff; a delivery is `failed` once all
+ *       attempts are used up.
+ *     tags: [Admin]
+ *     security:
+ *       - AdminAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/webhookIdParam'
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *         description: Only deliveries with this status
+ *     responses:
+ *       200:
+ *         description: Deliveries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/webhooks/:id/deliveries', [
+    webhookIdParam,
+    query('status').optional().isIn(webhooks.DELIVERY_STATUSES)
+        .withMessage(`status must be one of: ${webhooks.DELIVERY_STATUSES.join(', ')}.`)
+], validate, (req, res) => {
+    const deliveries = webhooks.deliveries(req.params.id);
+    if (!deliveries) return webhookNotFound(res, req.params.id);
+
+    const data = req.query.status ? deliveries.filter(delivery => delivery.status === req.query.status) : deliveries;
+    res.json({ count: data.length, data });
+});
+
+/**
+ * @swagger
+ * /api/admin/webhooks/{webhookId}/deliveries/{deliveryId}/replay:
+ *   post:
+ *     summary: Replay a delivery
+ *     description: |
+ *       Send the payload of a logged delivery again as a new delivery (with `replay_of` set), freshly
+ *       signed and with its own retries, whatever the status of the original.
+ *     tags: [Admin]
+ *     security:
+ *       - AdminAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/webhookIdParam'
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 'dlv_5f0c2a9be41d7c38'
+ *     responses:
+ *       202:
+ *         description: Queued delivery
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/WebhookDelivery'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/webhooks/:id/deliveries/:deliveryId/replay', webhookIdParam, deliveryIdParam, validate, (req, res) => {
+    try {
+        if (!webhooks.get(req.params.id)) return webhookNotFound(res, req.params.id);
+
+        const delivery = webhooks.replay(req.params.id, req.params.deliveryId);
+        if (!delivery) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: `No delivery with ID ${req.params.deliveryId} for webhook ${req.params.id}`,
+                code: 404
+            });
+        }
+
+        res.status(202).json({ data: delivery });
+    } catch (error) {
+        console.error('Error replaying webhook delivery:', error);
+        res.status(500).json({ error: 'Internal server error', message: error.message, code: 500 });
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/webhooks/{webhookId}/ping:
+ *   post:
+ *     summary: Ping a webhook
+ *     description: Send a signed `ping` event to check that the URL is reachable and verifies signatures.
+ *     tags: [Admin]
+ *     security:
+ *       - AdminAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/webhookIdParam'
+ *     responses:
+ *       202:
+ *         description: Queued delivery; its outcome is in the delivery log
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/WebhookDelivery'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/webhooks/:id/ping', webhookIdParam, validate, (req, res) => {
+    try {
+        const delivery = webhooks.ping(req.params.id);
+        if (!delivery) return webhookNotFound(res, req.params.id);
+
+        res.status(202).json({ data: delivery });
+    } catch (error) {
+        console.error('Error pinging webhook:', error);
+        res.status(500).json({ error: 'Internal server error', message: error.message, code: 500 });
+    }
+});
+
+// ==================== RECORDS ====================
+
+/**
+ * express-validator chain for a value of a JSON Schema property. Types are
+ * checked strictly, as in the data files: "5" is not an integer.
+ * @param {Object} chain - Chain selecting the value
+ * @param {string} field - Field name for messages
+ * @param {Object} property - JSON Schema of the value
+ * @returns {Object} The chain
+ */
+const schemaChain = (chain, field, property) => {
+    if (property.nullable) chain = chain.if(value => value !== null);
+
+    if (property.type === 'integer') {
+        chain = chain.custom(Number.isInteger).withMessage(`${field} must be an integer.`).bail();
+        if (property.minimum !== undefined) {
+            chain = chain.isInt({ min: property.minimum }).withMessage(`${field} must be at least ${property.minimum}.`);
+        }
+    } else if (property.type === 'string') {
+        chain = chain.isString().withMessage(`${field} must be a string.`).bail();
+        if (property.minLength) chain = chain.isLength({ min: property.minLength }).withMessage(`${field} must not be empty.`);
+        if (property.pattern) chain = chain.matches(new RegExp(property.pattern)).withMessage(`${field} must match ${property.pattern}.`);
+        if (property.enum) chain = chain.isIn(property.enum).withMessage(`${field} must be one of: ${property.enum.join(', ')}.`);
+        if (property.format === 'date') chain = chain.isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage(`${field} must be a date (YYYY-MM-DD).`);
+    } else if (property.type === 'array') {
+        chain = chain.isArray().withMessage(`${field} must be an array.`);
+    }
+
+    return chain;
+};
+
+/**
+ * Validators for a record body, built from the JSON Schema of its data
+ * file (data/schemas). Unknown fields, `id` included, are rejected.
+ * @param {string} collection - Collection name
+ * @param {boolean} partial - Whether every field is optional (PATCH)
+ * @returns {Object} express-validator middleware
+ */
+const recordValidator = (collection, partial) => {
+    const { properties, required } = DATA_SCHEMAS[collection];
+
+    const chains = Object.entries(properties)
+        .filter(([field]) => field !== 'id')
+        .flatMap(([field, property]) => {
+            const present = partial || !required.includes(field)
+                ? body(field).optional()
+                : body(field).exists().withMessage(`${field} is required.`).bail();
+            const chains = [schemaChain(present, field, property)];
+
+            if (property.items) chains.push(schemaChain(body(`${field}.*`), `${field} items`, property.items));
+            return chains;
+        });
+
+    return checkExact(chains, {
+        locations: ['body'],
+        message: (fields) => `Unknown field(s): ${fields.map(({ path }) => path).join(', ')}.`
+    });
+};
+
+const RECORD_VALIDATORS = Object.fromEntries(store.COLLECTIONS.map(collection => [collection, {
+    full: recordValidator(collection, false),
+    partial: recordValidator(collection, true)
+}]));
+
+/**
+ * Validate the body as a whole record (POST, PUT) or as some of its fields (PATCH)
+ * @param {string} mode - 'full' or 'partial'
+ */
+const validateRecord = (mode) => async (req, res, next) => {
+    if (req.body === null || typeof req.body !== 'object' || Array.isArray(req.body)) {
+        return res.status(400).json({
+            error: 'Bad Request',
+            message: 'Send the record as a JSON object (Content-Type: application/json).',
+            code: 400
+        });
+    }
+
+    await RECORD_VALIDATORS[req.params.collection][mode].run(req);
+    validate(req, res, next);
+};
+
+/**
+ * Answer 404 for collections that do not exist
+ */
+const checkCollection = (req, res, next) => {
+    if (store.COLLECTIONS.includes(req.params.collection)) return next();
+
+    res.status(404).json({
+        error: 'Not Found',
+        message: `Unknown collection "${req.params.collection}". Must be one of: ${store.COLLECTIONS.join(', ')}.`,
+        code: 404
+    });
+};
+
+const recordIdParam = param('id').isInt({ min: 1 }).withMessage('Invalid ID. Must be a positive integer.').toInt();
+
+// Status and error name of each dataWriter error code
+const WRITE_ERRORS = {
+    NOT_FOUND: [404, 'Not Found'],
+    INVALID_DATA: [400, 'Bad Request'],
+    PRECONDITION_FAILED: [412, 'Precondition Failed'],
+    PRECONDITION_REQUIRED: [428, 'Precondition Required']
+};
+
+/**
+ * Answer a failed write
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by lib/dataWriter.js
+ * @param {Object} [overrides] - Error code => [status, error name]
+ */
+const sendWriteError = (res, error, overrides = {}) => {
+    const known = overrides[error.code] || WRITE_ERRORS[error.code];
+
+    if (!known) {
+        console.error('Error writing data:', error);
+        return res.status(500).json({ error: 'Internal server error', message: error.message, code: 500 });
+    }
+
+    const [status, name] = known;
+    if (error.etag) res.set('ETag', error.etag);
+
+    res.status(status).json({
+        error: name,
+        message: error.message,
+        code: status,
+        ...(error.errors && { errors: error.errors })
+    });
+};
+
+/**
+ * @swagger
+ * /api/admin/{collection}:
+ *   post:
+ *     summary: Create a record
+ *     description: |
+ *       Add a record to `data/{collection}.json` with the next ID never used in the collection; IDs of
+ *       deleted records are not handed out again. The body has every required field of the
+ *       collection's data schema (`data/schemas`) but `id`; unknown fields return **400**.
+ *       The dataset is validated as a whole (references between collections included) before the file
+ *       is written, atomically, and reloaded.
+ *     tags: [Admin]
+ *     security:
+ *       - AdminAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/collectionParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StoredRecord'
+ *     responses:
+ *       201:
+ *         description: Created record, as stored
+ *         headers:
+ *           ETag:
+ *             description: ETag of the record, for If-Match
+ *             schema:
+ *               type: string
+ *           Location:
+ *             description: URL of the record
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/StoredRecord'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/:collection', checkCollection, validateRecord('full'), (req, res) => {
+    try {
+        const { collection } = req.params;
+        const { record, etag } = dataWriter.createRecord(collection, req.body);
+
+        res.status(201)
+            .location(`/api/admin/${collection}/${record.id}`)
+            .set('ETag', etag)
+            .json({ data: record });
+    } catch (error) {
+        sendWriteError(res, error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/{collection}/{recordId}:
+ *   get:
+ *     summary: Get a record as stored
+ *     description: |
+ *       The record as in `data/{collection}.json`, without the fields the public endpoints derive
+ *       (slug, expanded first appearance, image metadata). Its `ETag` goes in `If-Match` to change it.
+ *     tags: [Admin]
+ *     security:
+ *       - AdminAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/collectionParam'
+ *       - $ref: '#/components/parameters/recordIdParam'
+ *     responses:
+ *       200:
+ *         description: Stored record
+ *         headers:
+ *           ETag:
+ *             description: ETag of the record, for If-Match
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/StoredRecord'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *   put:
+ *     summary: Replace a record
+ *     description: |
+ *       Replace every field of a record; fields left out are removed. Requires `If-Match` with the
+ *       record's ETag (**428** without it, **412** with a stale one). If the change renames the record,
+ *       its old slug is kept in `previous_slugs` and redirects to the new one.
+ *     tags: [Admin]
+ *     security:
+ *       - AdminAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/collectionParam'
+ *       - $ref: '#/components/parameters/recordIdParam'
+ *       - $ref: '#/components/parameters/ifMatchHeader'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StoredRecord'
+ *     responses:
+ *       200:
+ *         description: Updated record, as stored, with its new ETag
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       412:
+ *         description: The record changed since its ETag was read
+ *       428:
+ *         description: If-Match is missing
+ *   patch:
+ *     summary: Update fields of a record
+ *     description: Change only the fields in the body (`null` sets a nullable field to null). Same rules as PUT.
+ *     tags: [Admin]
+ *     security:
+ *       - AdminAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/collectionParam'
+ *       - $ref: '#/components/parameters/recordIdParam'
+ *       - $ref: '#/components/parameters/ifMatchHeader'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *           example:
+ *             status: 'Deceased'
+ *     responses:
+ *       200:
+ *         description: Updated record, as stored, with its new ETag
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       412:
+ *         description: The record changed since its ETag was read
+ *       428:
+ *         description: If-Match is missing
+ *   delete:
+ *     summary: Delete a record
+ *     description: |
+ *       Delete a record and its translations. Requires `If-Match`. Records other records still
+ *       refer to (such as a character with quotes) cannot be deleted (**409**).
+ *     tags: [Admin]
+ *     security:
+ *       - AdminAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/collectionParam'
+ *       - $ref: '#/components/parameters/recordIdParam'
+ *       - $ref: '#/components/parameters/ifMatchHeader'
+ *     responses:
+ *       204:
+ *         description: Deleted
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Other records refer to the record
+ *       412:
+ *         description: The record changed since its ETag was read
+ *       428:
+ *         description: If-Match is missing
+ */
+router.get('/:collection/:id', checkCollection, recordIdParam, validate, (req, res) => {
+    const found = dataWriter.getRecord(req.params.collection, req.params.id);
+    if (!found) {
+        return res.status(404).json({
+            error: 'Not Found',
+            message: `No ${req.params.collection} record with ID ${req.params.id}`,
+            code: 404
+        });
+    }
+
+    res.set('ETag', found.etag).json({ data: found.record });
+});
+
+router.put('/:collection/:id', checkCollection, recordIdParam, validateRecord('full'), (req, res) => {
+    try {
+        const { record, etag } = dataWriter.replaceRecord(req.params.collection, req.params.id, req.body, req.get('If-Match'));
+        res.set('ETag', etag).json({ data: record });
+    } catch (error) {
+        sendWriteError(res, error);
+    }
+});
+
+router.patch('/:collection/:id', checkCollection, recordIdParam, validateRecord('partial'), (req, res) => {
+    try {
+        const { record, etag } = dataWriter.updateRecord(req.params.collection, req.params.id, req.body, req.get('If-Match'));
+        res.set('ETag', etag).json({ data: record });
+    } catch (error) {
+        sendWriteError(res, error);
+    }
+});
+
+router.delete('/:collection/:id', checkCollection, recordIdParam, validate, (req, res) => {
+    try {
+        dataWriter.deleteRecord(req.params.collection, req.params.id, req.get('If-Match'));
+        res.status(204).end();
+    } catch (error) {
+        sendWriteError(res, error, { INVALID_DATA: [409, 'Conflict'] });
+    }
+});
+
+module.exports = router;
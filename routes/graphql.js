@@ -0,0 +1,111 @@
+/**
+ * GraphQL Routes for Stranger Things API
+ * Serves the GraphQL endpoint and, outside production, the GraphiQL IDE
+ */
+
+const express = require('express');
+const { createHandler } = require('graphql-http/lib/use/express');
+const { schema, validationRules } = require('../lib/graphqlSchema');
+
+const router = express.Router();
+
+const GRAPHIQL_HTML = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>Stranger Things API - GraphiQL</title>
+    <link rel="icon" href="/favicon.png">
+    <link rel="stylesheet" href="https://unpkg.com/graphiql@3/graphiql.min.css">
+    <style>body { margin: 0; height: 100vh; } #graphiql { height: 100vh; }</style>
+</head>
+<body>
+    <div id="graphiql">Loading...</div>
+    <script crossorigin src="https://unpkg.com/react@18/umd/react.production.min.js"></script>
+    <script crossorigin src="https://unpkg.com/react-dom@18/umd/react-dom.production.min.js"></script>
+    <script crossorigin src="https://unpkg.com/graphiql@3/graphiql.min.js"></script>
+    <script>
+        const fetcher = GraphiQL.createFetcher({ url: window.location.pathname });
+        ReactDOM.createRoot(document.getElementById('graphiql')).render(
+            React.createElement(GraphiQL, {
+                fetcher,
+                defaultQuery: '{\\n  character(id: 1) {\\n    name\\n    quotes { quote season }\\n  }\\n}\\n'
+            })
+        );
+    </script>
+</body>
+</html>`;
+
+/**
+ * @swagger
+ * /api/graphql:
+ *   get:
+ *     summary: GraphQL endpoint (GET)
+ *     description: |
+ *       Run a read-only GraphQL query passed in the `query` parameter.
+ *       In development, opening this URL in a browser shows the GraphiQL IDE.
+ *       Queries deeper than 6 levels or with an estimated complexity above 2000 are rejected.
+ *     tags: [Utility]
+ *     parameters:
+ *       - name: query
+ *         in: query
+ *         required: true
+ *         description: GraphQL query document
+ *         schema:
+ *           type: string
+ *       - name: variables
+ *         in: query
+ *         description: JSON-encoded query variables
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: GraphQL result
+ *       400:
+ *         description: Invalid or too expensive query
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *   post:
+ *     summary: GraphQL endpoint (POST)
+ *     description: Run a GraphQL query sent as JSON. Same schema and limits as the GET form.
+ *     tags: [Utility]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [query]
+ *             properties:
+ *               query:
+ *                 type: string
+ *                 example: '{ character(id: 1) { name quotes { quote } } }'
+ *               variables:
+ *                 type: object
+ *               operationName:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: GraphQL result
+ *       400:
+ *         description: Invalid or too expensive query
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.get('/', (req, res, next) => {
+    const wantsHtml = req.accepts(['application/json', 'application/graphql-response+json', 'text/html']) === 'text/html';
+
+    if (process.env.NODE_ENV !== 'production' && wantsHtml && !req.query.query) {
+        return res.type('html').send(GRAPHIQL_HTML);
+    }
+
+    next();
+});
+
+// Resolvers serialize with the context as options, so records come back in the request's language
+router.all('/', createHandler({
+    schema,
+    validationRules,
+    context: (req) => ({ version: req.raw.apiVersion, locale: req.raw.locale })
+}));
+
+module.exports = router;
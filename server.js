@@ -13,23 +13,41 @@ const helmet = require('helmet');
 const compression = require('compression');
 const morgan = require('morgan');
 const path = require('path');
-const fs = require('fs');
 const swaggerUi = require('swagger-ui-express');
 
 // Import configurations and middleware
 const swaggerSpec = require('./config/swagger');
 const security = require('./middleware/security');
+const cache = require('./middleware/cache');
+const { negotiateFormat } = require('./middleware/negotiation');
+const { resolveApiVersion } = require('./middleware/versioning');
+const { negotiateLanguage } = require('./middleware/localization');
+const { serveImages } = require('./middleware/images');
+const appearances = require('./lib/appearances');
+const { getSerializeOptions, serialize, serializeMany } = require('./lib/serializers');
+const { RESOURCES } = require('./lib/resources');
+const { paginate, filterByField, parseSort, sortRecords } = require('./lib/query');
+const { DEFAULT_LIMIT, MAX_LIMIT, buildPageUrl, formatLinkHeader, paginateRequest } = require('./lib/pagination');
+const { pickFields } = require('./lib/fields');
+const search = require('./lib/search');
+const { checkAssets } = require('./lib/assetIntegrity');
+const { ARCHIVE_FORMATS, getExportArchive } = require('./lib/exportArchive');
+const { handleBatch } = require('./lib/batch');
+const { MAX_SUGGESTIONS, suggest, getSuggestTrie } = require('./lib/suggest');
+const { loadImageMetadata } = require('./lib/imageMetadata');
+const { API_VERSIONS, CURRENT_VERSION, listVersions } = require('./lib/versions');
+const graphqlRoutes = require('./routes/graphql');
+const adminRoutes = require('./routes/admin');
 
 // Import data
-const characters = require('./data/characters.json');
-const creatures = require('./data/creatures.json');
-const episodes = require('./data/episodes.json');
-const locations = require('./data/locations.json');
-const quotes = require('./data/quotes.json');
+const store = require('./lib/dataStore');
+const apiKeys = require('./lib/apiKeys');
+const changeLog = require('./lib/changeLog');
+const webhooks = require('./lib/webhooks');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const API_VERSION = '1.0.0';
+const API_VERSION = API_VERSIONS[CURRENT_VERSION].version;
 const START_TIME = Date.now();
 
 // ==================== MIDDLEWARE SETUP ====================
@@ -37,6 +55,9 @@ const START_TIME = Date.now();
 // Trust proxy (for rate limiting behind reverse proxy)
 app.set('trust proxy', 1);
 
+// Strong ETags from the dataset version and the payload (304 on If-None-Match)
+app.set('etag', cache.generateEtag);
+
 // Request logging
 app.use(morgan(':method :url :status :res[content-length] - :response-time ms'));
 
@@ -58,19 +79,35 @@ app.use(compression());
 // Body parsing
 app.use(express.json({ limit: '10kb' })); // Limit body size
 
-// Rate limiting
+// API versioning: /api/v1/... or `Accept: application/json; version=1`, plain /api/... is the current version
+app.use('/api', resolveApiVersion);
+
+// API keys: optional, but an unknown or revoked X-API-Key is rejected (401).
+// Rejected keys are counted per IP first, so keys cannot be guessed at full speed.
+app.use('/api', security.failedAuthLimiter);
+app.use('/api', security.authenticateApiKey);
+
+// Rate limiting, per API key or per IP, with limits from the key's tier
 app.use('/api', security.generalLimiter);
 app.use('/api', security.heavyUsageLimiter);
 
-// Optional API key tracking
-app.use('/api', security.optionalApiKey);
+// HTTP caching: short max-age for API responses (routes can override)
+app.use('/api', cache.cachePolicy('data'));
+
+// Language of translated fields: ?lang= or Accept-Language (see data/locales)
+app.use('/api', negotiateLanguage);
 
 // Input sanitization
 app.use(security.sanitizeQuery);
 
-// Serve static files from public directory
+// Serve static files from public directory (images first, with their long-lived policy;
+// ?w=&h=&fit=&format= serve resized copies from the disk cache, missing images a placeholder).
+// Only images get the long-lived policy; errors under /images are not cached.
+app.use('/images', cache.cachePolicy('noStore'), serveImages, express.static(path.join(__dirname, 'public/images'), {
+    cacheControl: false,
+    setHeaders: res => res.set('Cache-Control', cache.CACHE_POLICIES.assets.cacheControl)
+}));
 app.use(express.static(path.join(__dirname, 'public')));
-app.use('/images', express.static(path.join(__dirname, 'public/images')));
 
 // ==================== SWAGGER DOCUMENTATION ====================
 
@@ -97,62 +134,26 @@ app.get('/api/openapi.json', (req, res) => {
     res.send(swaggerSpec);
 });
 
-// ==================== HELPER FUNCTIONS ====================
+// ==================== UTILITY ENDPOINTS ====================
 
 /**
- * Paginate an array of results
- * @param {Array} array - The array to paginate
- * @param {number} page - Page number (1-indexed)
- * @param {number} limit - Items per page
- * @returns {Object} Paginated results with info
+ * Summarize the asset check for the health report
+ * @returns {Object} Counts plus the missing and orphaned image paths
  */
-const paginate = (array, page = 1, limit = 20) => {
-    const startIndex = (page - 1) * limit;
-    const endIndex = startIndex + limit;
-    const results = {};
-
-    results.info = {
-        count: array.length,
-        pages: Math.ceil(array.length / limit),
-        current_page: page,
-        per_page: limit,
-        next: endIndex < array.length ? page + 1 : null,
-        prev: startIndex > 0 ? page - 1 : null
+const getAssetStatus = () => {
+    const report = checkAssets();
+
+    return {
+        status: report.status,
+        files: report.files,
+        referenced: report.referenced,
+        missing_count: report.missing.length,
+        orphaned_count: report.orphaned.length,
+        missing: report.missing.map(({ path: imagePath }) => imagePath),
+        orphaned: report.orphaned
     };
-
-    results.results = array.slice(startIndex, endIndex);
-    return results;
-};
-
-/**
- * Filter an array by query parameters
- * @param {Array} array - The array to filter
- * @param {Object} query - Query parameters
- * @returns {Array} Filtered array
- */
-const filterByField = (array, query) => {
-    return array.filter(item => {
-        return Object.keys(query).every(key => {
-            if (key === 'page' || key === 'limit') return true;
-
-            const itemValue = item[key];
-            const queryValue = query[key];
-
-            if (itemValue === undefined) return true;
-
-            if (Array.isArray(itemValue)) {
-                return itemValue.some(v =>
-                    String(v).toLowerCase().includes(String(queryValue).toLowerCase())
-                );
-            }
-
-            return String(itemValue).toLowerCase().includes(String(queryValue).toLowerCase());
-        });
-    });
 };
 
-// ==================== UTILITY ENDPOINTS ====================
-
 /**
  * @swagger
  * /api/health:
@@ -168,13 +169,15 @@ const filterByField = (array, query) => {
  *             schema:
  *               $ref: '#/components/schemas/HealthCheck'
  */
-app.get('/api/health', (req, res) => {
+app.get('/api/health', cache.cachePolicy('live'), (req, res) => {
     res.json({
         status: 'healthy',
         timestamp: new Date().toISOString(),
         uptime: Math.floor((Date.now() - START_TIME) / 1000),
         version: API_VERSION,
-        environment: process.env.NODE_ENV || 'development'
+        environment: process.env.NODE_ENV || 'development',
+        data: store.status(),
+        assets: getAssetStatus()
     });
 });
 
@@ -207,6 +210,9 @@ app.get('/', (req, res) => {
             quotes: '/api/quotes',
             stats: '/api/stats',
             health: '/api/health',
+            export: '/api/export',
+            changes: '/api/changes',
+            graphql: '/api/graphql',
             random: {
                 character: '/api/characters/random',
                 creature: '/api/creatures/random',
@@ -232,16 +238,20 @@ app.get('/', (req, res) => {
  * /api:
  *   get:
  *     summary: API information
- *     description: Returns detailed API information including all available endpoints and their descriptions
+ *     description: Returns detailed API information including the supported API versions and all available endpoints
  *     tags: [Utility]
  *     responses:
  *       200:
  *         description: Detailed API information
  */
 app.get('/api', (req, res) => {
+    // api_keys.tier depends on the caller's key, so shared caches must keep one copy per key
+    res.vary('X-API-Key');
     res.json({
         message: 'Welcome to the Stranger Things API!',
-        version: API_VERSION,
+        version: API_VERSIONS[req.apiVersion].version,
+        current_version: CURRENT_VERSION,
+        versions: listVersions(),
         documentation: '/api/docs',
         available_endpoints: [
             {
@@ -260,6 +270,11 @@ app.get('/api', (req, res) => {
                 description: 'Get a random character',
                 methods: ['GET']
             },
+            {
+                endpoint: '/api/characters/:id/episodes',
+                description: 'Get episodes a character appears in',
+                methods: ['GET']
+            },
             {
                 endpoint: '/api/creatures',
                 description: 'Get all creatures from the Upside Down',
@@ -276,6 +291,11 @@ app.get('/api', (req, res) => {
                 description: 'Get a random creature',
                 methods: ['GET']
             },
+            {
+                endpoint: '/api/creatures/:id/episodes',
+                description: 'Get episodes a creature appears in',
+                methods: ['GET']
+            },
             {
                 endpoint: '/api/episodes',
                 description: 'Get all episodes',
@@ -292,6 +312,16 @@ app.get('/api', (req, res) => {
                 description: 'Get a random episode',
                 methods: ['GET']
             },
+            {
+                endpoint: '/api/episodes/:id/characters',
+                description: 'Get characters appearing in an episode',
+                methods: ['GET']
+            },
+            {
+                endpoint: '/api/episodes/:id/locations',
+                description: 'Get locations appearing in an episode',
+                methods: ['GET']
+            },
             {
                 endpoint: '/api/locations',
                 description: 'Get all locations',
@@ -323,19 +353,78 @@ app.get('/api', (req, res) => {
                 endpoint: '/api/quotes/random',
                 description: 'Get a random quote',
                 methods: ['GET']
+            },
+            {
+                endpoint: '/api/export',
+                description: 'Download the whole dataset as .tar.gz or .zip with a checksummed manifest (?format=zip, ?images=true)',
+                methods: ['GET']
+            },
+            {
+                endpoint: '/api/changes',
+                description: 'Feed of created, updated and deleted records with field-level diffs (?since=<sequence|timestamp>)',
+                methods: ['GET']
+            },
+            {
+                endpoint: '/api/graphql',
+                description: 'GraphQL endpoint over all collections (GraphiQL in development)',
+                methods: ['GET', 'POST']
             }
         ],
         pagination: {
             description: 'All list endpoints support pagination',
             parameters: {
                 page: 'Page number (default: 1)',
-                limit: 'Items per page (default: 20, max: 50)'
-            }
+                limit: 'Items per page (default: 20, max: 50)',
+                cursor: 'Opaque cursor from info.next_cursor / info.prev_cursor; empty to start (cannot be combined with page)'
+            },
+            links: 'Absolute first/prev/next/last URLs in info.links and the Link header; total in X-Total-Count'
+        },
+        filtering: {
+            description: 'List endpoints accept field=value and typed operators such as field[gte]=value',
+            operators: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'between', 'in', 'contains', 'any', 'all'],
+            examples: ['/api/characters?age[gte]=15', '/api/episodes?air_date[between]=2016-01-01,2017-12-31', '/api/characters?seasons[all]=1,4']
+        },
+        formats: {
+            description: 'List and detail endpoints honor the Accept header; ?format= overrides it',
+            parameter: 'format',
+            available: ['json', 'csv', 'ndjson', 'yaml', 'xml'],
+            example: '/api/characters?format=csv'
+        },
+        sparse_fieldsets: {
+            description: 'List, detail, random and search endpoints return only the requested fields',
+            parameter: 'fields',
+            example: '/api/characters?fields=id,name,first_appearance.title'
+        },
+        expansions: {
+            description: 'Embed related records on list, detail and random endpoints (max depth 2)',
+            parameter: 'expand',
+            available: {
+                characters: ['quotes'],
+                creatures: ['related_species'],
+                quotes: ['character']
+            },
+            example: '/api/characters/1?expand=quotes'
+        },
+        sorting: {
+            description: 'All list endpoints support sorting by one or more fields; nulls sort last',
+            parameter: 'sort',
+            example: '/api/characters?sort=-age,name'
         },
         rate_limits: {
             general: '100 requests per 15 minutes',
             random_endpoints: '30 requests per minute',
             heavy_usage: '1000 requests per hour'
+        },
+        api_keys: {
+            description: 'Optional: send a key in the X-API-Key header to be rate limited per key with the limits of its tier',
+            header: 'X-API-Key',
+            tier: req.tier,
+            tiers: apiKeys.TIERS
+        },
+        webhooks: {
+            description: 'Signed POST notifications of dataset changes, managed by admins under /api/admin/webhooks',
+            events: [...webhooks.EVENT_TYPES, webhooks.PING_EVENT],
+            signature: 'X-Webhook-Signature: sha256=HMAC-SHA256(secret, "<X-Webhook-Timestamp>.<body>")'
         }
     });
 });
@@ -347,7 +436,11 @@ app.get('/api', (req, res) => {
  * /api/search:
  *   get:
  *     summary: Global search across all data
- *     description: Search for characters, creatures, episodes, locations, and quotes in a single query
+ *     description: |
+ *       Ranked, typo-tolerant search over characters, creatures, episodes, locations and quotes.
+ *       Matches in heavier fields rank higher (name > nickname/real_name > occupation > description);
+ *       words also match by prefix and within 1-2 typos ("Demogorgan" finds the Demogorgon).
+ *       Results from all collections are interleaved by relevance.
  *     tags: [Utility]
  *     parameters:
  *       - in: query
@@ -362,18 +455,20 @@ app.get('/api', (req, res) => {
  *         schema:
  *           type: string
  *           enum: [all, characters, creatures, episodes, locations, quotes]
- *         description: Filter by data type (default all)
+ *         description: Restrict the search to one collection (default all)
+ *       - $ref: '#/components/parameters/pageParam'
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
  *           minimum: 1
- *           maximum: 20
- *           default: 5
- *         description: Results per category (default 5, max 20)
+ *           maximum: 50
+ *           default: 10
+ *         description: Results per page (default 10, max 50)
+ *       - $ref: '#/components/parameters/fieldsParam'
  *     responses:
  *       200:
- *         description: Search results grouped by type
+ *         description: Search results ranked by relevance
  *         content:
  *           application/json:
  *             schema:
@@ -381,15 +476,39 @@ app.get('/api', (req, res) => {
  *               properties:
  *                 query:
  *                   type: string
+ *                 type:
+ *                   type: string
  *                 total_results:
  *                   type: integer
- *                 results:
+ *                 info:
  *                   type: object
+ *                   description: Same pagination info as list endpoints
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       type:
+ *                         type: string
+ *                         example: creature
+ *                       score:
+ *                         type: number
+ *                         description: Relevance score, higher is better
+ *                         example: 10
+ *                       highlights:
+ *                         type: object
+ *                         description: Matched fragments per field, with matches wrapped in `<mark>`
+ *                         additionalProperties:
+ *                           type: string
+ *                         example:
+ *                           name: '<mark>Demogorgon</mark>'
  *       400:
- *         description: Invalid search query
+ *         $ref: '#/components/responses/BadRequest'
  */
-app.get('/api/search', security.validatePagination, (req, res) => {
-    const { q, type = 'all', limit = 5 } = req.query;
+app.get('/api/search', security.validatePagination, security.validateFields(Object.keys(RESOURCES), ['type', 'location_type', 'score', 'highlights']), (req, res) => {
+    const { q, type = 'all' } = req.query;
 
     // Validate query
     if (!q || q.trim().length < 2) {
@@ -400,124 +519,161 @@ app.get('/api/search', security.validatePagination, (req, res) => {
         });
     }
 
-    const searchTerm = q.toLowerCase().trim();
-    const maxResults = Math.min(parseInt(limit) || 5, 20);
     const searchType = type.toLowerCase();
+    if (searchType !== 'all' && !RESOURCES[searchType]) {
+        return res.status(400).json({
+            error: 'Bad Request',
+            message: `Invalid type parameter. Must be one of: all, ${Object.keys(RESOURCES).join(', ')}.`,
+            code: 400
+        });
+    }
 
-    // Search functions for each data type
-    const searchCharacters = () => {
-        return characters.filter(char =>
-            char.name?.toLowerCase().includes(searchTerm) ||
-            char.real_name?.toLowerCase().includes(searchTerm) ||
-            char.nickname?.toLowerCase().includes(searchTerm) ||
-            char.description?.toLowerCase().includes(searchTerm) ||
-            char.occupation?.toLowerCase().includes(searchTerm) ||
-            char.portrayed_by?.toLowerCase().includes(searchTerm)
-        ).slice(0, maxResults).map(char => ({
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const { fields } = getSerializeOptions(req.query, req.apiVersion, req.locale);
+
+    // Lightweight summary of each record type
+    const summaries = {
+        characters: char => ({
             id: char.id,
             name: char.name,
             type: 'character',
             status: char.status,
             portrayed_by: char.portrayed_by,
             portrait_path: char.portrait_path
-        }));
-    };
-
-    const searchCreatures = () => {
-        return creatures.filter(creature =>
-            creature.name?.toLowerCase().includes(searchTerm) ||
-            creature.description?.toLowerCase().includes(searchTerm) ||
-            creature.origin?.toLowerCase().includes(searchTerm) ||
-            creature.classification?.toLowerCase().includes(searchTerm)
-        ).slice(0, maxResults).map(creature => ({
+        }),
+        creatures: creature => ({
             id: creature.id,
             name: creature.name,
             type: 'creature',
             threat_level: creature.threat_level,
             origin: creature.origin,
             image_path: creature.image_path
-        }));
-    };
-
-    const searchEpisodes = () => {
-        return episodes.filter(ep =>
-            ep.title?.toLowerCase().includes(searchTerm) ||
-            ep.synopsis?.toLowerCase().includes(searchTerm) ||
-            ep.directed_by?.toLowerCase().includes(searchTerm)
-        ).slice(0, maxResults).map(ep => ({
+        }),
+        episodes: ep => ({
             id: ep.id,
             title: ep.title,
             type: 'episode',
             season: ep.season,
             episode: ep.episode,
             air_date: ep.air_date
-        }));
-    };
-
-    const searchLocations = () => {
-        return locations.filter(loc =>
-            loc.name?.toLowerCase().includes(searchTerm) ||
-            loc.description?.toLowerCase().includes(searchTerm) ||
-            loc.type?.toLowerCase().includes(searchTerm) ||
-            loc.significance?.toLowerCase().includes(searchTerm)
-        ).slice(0, maxResults).map(loc => ({
+        }),
+        locations: loc => ({
             id: loc.id,
             name: loc.name,
             type: 'location',
             location_type: loc.type,
             status: loc.status
-        }));
-    };
-
-    const searchQuotes = () => {
-        return quotes.filter(quote =>
-            quote.quote?.toLowerCase().includes(searchTerm) ||
-            quote.character?.toLowerCase().includes(searchTerm) ||
-            quote.context?.toLowerCase().includes(searchTerm)
-        ).slice(0, maxResults).map(quote => ({
+        }),
+        quotes: quote => ({
             id: quote.id,
             quote: quote.quote,
             type: 'quote',
             character: quote.character,
             season: quote.season
-        }));
+        })
     };
 
-    // Build results based on search type
-    const results = {};
-    let totalResults = 0;
+    // Summaries by default; with `fields`, pick from the full record (summary keys win)
+    const toResult = (hit) => {
+        const summary = {
+            ...summaries[hit.collection](hit.record),
+            score: hit.score,
+            highlights: search.getHighlights(hit)
+        };
 
-    if (searchType === 'all' || searchType === 'characters') {
-        results.characters = searchCharacters();
-        totalResults += results.characters.length;
-    }
+        if (fields.length === 0) return summary;
+        return pickFields({ ...serialize(hit.collection, hit.record, { version: req.apiVersion, locale: req.locale }), ...summary }, fields);
+    };
 
-    if (searchType === 'all' || searchType === 'creatures') {
-        results.creatures = searchCreatures();
-        totalResults += results.creatures.length;
-    }
+    const hits = search.search(q, searchType === 'all' ? Object.keys(RESOURCES) : [searchType], req.locale);
+    const result = paginate(hits, page, limit);
 
-    if (searchType === 'all' || searchType === 'episodes') {
-        results.episodes = searchEpisodes();
-        totalResults += results.episodes.length;
-    }
+    res.json({
+        query: q,
+        type: searchType,
+        total_results: hits.length,
+        info: result.info,
+        results: result.results.map(toResult)
+    });
+});
 
-    if (searchType === 'all' || searchType === 'locations') {
-        results.locations = searchLocations();
-        totalResults += results.locations.length;
+/**
+ * @swagger
+ * /api/search/suggest:
+ *   get:
+ *     summary: Search-as-you-type suggestions
+ *     description: |
+ *       Prefix matches over character names and nicknames, creature names, episode titles and
+ *       location names, for autocomplete. Any word of a name can match ("hop" finds Jim Hopper).
+ *       Has its own rate limit of 300 requests per minute instead of the general limit.
+ *     tags: [Utility]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           minLength: 1
+ *         description: What the user has typed so far
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 10
+ *           default: 5
+ *         description: Maximum suggestions (default 5, max 10)
+ *     responses:
+ *       200:
+ *         description: Suggestions, best first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 query:
+ *                   type: string
+ *                 suggestions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       type:
+ *                         type: string
+ *                         enum: [character, creature, episode, location]
+ *                       id:
+ *                         type: integer
+ *                       label:
+ *                         type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+app.get('/api/search/suggest', security.suggestLimiter, (req, res) => {
+    const { q } = req.query;
+    const limit = req.query.limit === undefined ? 5 : parseInt(req.query.limit);
+
+    if (!q || !q.trim()) {
+        return res.status(400).json({
+            error: 'Bad Request',
+            message: 'Suggest query (q) is required',
+            code: 400
+        });
     }
 
-    if (searchType === 'all' || searchType === 'quotes') {
-        results.quotes = searchQuotes();
-        totalResults += results.quotes.length;
+    if (isNaN(limit) || limit < 1 || limit > MAX_SUGGESTIONS) {
+        return res.status(400).json({
+            error: 'Bad Request',
+            message: `Invalid limit parameter. Must be between 1 and ${MAX_SUGGESTIONS}.`,
+            code: 400
+        });
     }
 
     res.json({
         query: q,
-        type: searchType,
-        total_results: totalResults,
-        results_per_category: maxResults,
-        results
+        suggestions: suggest(q, limit)
     });
 });
 
@@ -532,7 +688,25 @@ app.get('/api/search', security.validatePagination, (req, res) => {
  *     tags: [Characters]
  *     parameters:
  *       - $ref: '#/components/parameters/pageParam'
+ *       - $ref: '#/components/parameters/cursorParam'
+ *       - $ref: '#/components/parameters/idsParam'
  *       - $ref: '#/components/parameters/limitParam'
+ *       - $ref: '#/components/parameters/fieldsParam'
+ *       - name: expand
+ *         in: query
+ *         description: Embed related records. `quotes` replaces the quote strings with Quote objects; nested paths such as `quotes.character` are allowed (max depth 2).
+ *         schema:
+ *           type: string
+ *           example: quotes
+ *       - name: sort
+ *         in: query
+ *         description: |
+ *           Comma-separated sort fields; prefix a field with `-` for descending order.
+ *           Numbers and dates compare by value, strings case-insensitively; nulls sort last.
+ *           Sortable fields: id, name, real_name, nickname, age, birthdate, gender, occupation, affiliation, portrayed_by, status, portrait_path, description.
+ *         schema:
+ *           type: string
+ *           example: '-age,name'
  *       - name: name
  *         in: query
  *         description: Filter by character name
@@ -553,6 +727,11 @@ app.get('/api/search', security.validatePagination, (req, res) => {
  *     responses:
  *       200:
  *         description: Paginated list of characters
+ *         headers:
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/X-Total-Count'
  *         content:
  *           application/json:
  *             schema:
@@ -569,14 +748,12 @@ app.get('/api/search', security.validatePagination, (req, res) => {
  *       429:
  *         $ref: '#/components/responses/TooManyRequests'
  */
-app.get('/api/characters', security.validatePagination, (req, res) => {
+app.get('/api/characters', negotiateFormat('characters'), security.validatePagination, security.validateCursor, security.validateSort('characters'), security.validateFilters('characters'), security.validateFields('characters'), security.validateExpand('characters'), handleBatch('characters'), (req, res) => {
     try {
-        const currentCharacters = JSON.parse(fs.readFileSync(path.join(__dirname, 'data/characters.json'), 'utf8'));
-        const page = parseInt(req.query.page) || 1;
-        const limit = Math.min(parseInt(req.query.limit) || 20, 50);
-
-        let filteredCharacters = filterByField(currentCharacters, req.query);
-        const result = paginate(filteredCharacters, page, limit);
+        let filteredCharacters = filterByField(store.all('characters', req.locale), req.query, 'characters');
+        filteredCharacters = sortRecords(filteredCharacters, parseSort(req.query.sort), 'characters');
+        const result = paginateRequest(req, res, filteredCharacters, 'characters');
+        result.results = serializeMany('characters', result.results, getSerializeOptions(req.query, req.apiVersion, req.locale));
 
         res.json(result);
     } catch (error) {
@@ -592,6 +769,14 @@ app.get('/api/characters', security.validatePagination, (req, res) => {
  *     summary: Get a random character
  *     description: Retrieve a random character from the database
  *     tags: [Characters]
+ *     parameters:
+ *       - $ref: '#/components/parameters/fieldsParam'
+ *       - name: expand
+ *         in: query
+ *         description: Embed related records. `quotes` replaces the quote strings with Quote objects; nested paths such as `quotes.character` are allowed (max depth 2).
+ *         schema:
+ *           type: string
+ *           example: quotes
  *     responses:
  *       200:
  *         description: A random character
@@ -602,10 +787,11 @@ app.get('/api/characters', security.validatePagination, (req, res) => {
  *       429:
  *         $ref: '#/components/responses/TooManyRequests'
  */
-app.get('/api/characters/random', security.randomEndpointLimiter, (req, res) => {
+app.get('/api/characters/random', cache.cachePolicy('noStore'), security.randomEndpointLimiter, security.validateFields('characters'), security.validateExpand('characters'), (req, res) => {
     try {
+        const characters = store.all('characters');
         const randomIndex = Math.floor(Math.random() * characters.length);
-        res.json(characters[randomIndex]);
+        res.json(serialize('characters', characters[randomIndex], getSerializeOptions(req.query, req.apiVersion, req.locale)));
     } catch (error) {
         console.error('Error fetching random character:', error);
         res.status(500).json({ error: 'Internal server error', message: error.message, code: 500 });
@@ -617,10 +803,17 @@ app.get('/api/characters/random', security.randomEndpointLimiter, (req, res) =>
  * /api/characters/{id}:
  *   get:
  *     summary: Get character by ID
- *     description: Retrieve a specific character by their unique ID
+ *     description: Retrieve a specific character by their unique ID. Comma-separated IDs or slugs (`/1,2,6`, max 50) return a batch like `?ids=` on the list endpoint.
  *     tags: [Characters]
  *     parameters:
  *       - $ref: '#/components/parameters/idParam'
+ *       - $ref: '#/components/parameters/fieldsParam'
+ *       - name: expand
+ *         in: query
+ *         description: Embed related records. `quotes` replaces the quote strings with Quote objects; nested paths such as `quotes.character` are allowed (max depth 2).
+ *         schema:
+ *           type: string
+ *           example: quotes
  *     responses:
  *       200:
  *         description: Character details
@@ -633,10 +826,10 @@ app.get('/api/characters/random', security.randomEndpointLimiter, (req, res) =>
  *       404:
  *         $ref: '#/components/responses/NotFound'
  */
-app.get('/api/characters/:id', security.validateId, (req, res) => {
+app.get('/api/characters/:id', negotiateFormat('characters'), security.validateFields('characters'), security.validateExpand('characters'), handleBatch('characters'), security.validateId('characters'), (req, res) => {
     try {
         const id = parseInt(req.params.id);
-        const character = characters.find(c => c.id === id);
+        const character = store.findById('characters', id);
 
         if (!character) {
             return res.status(404).json({
@@ -646,7 +839,7 @@ app.get('/api/characters/:id', security.validateId, (req, res) => {
             });
         }
 
-        res.json(character);
+        res.json(serialize('characters', character, getSerializeOptions(req.query, req.apiVersion, req.locale)));
     } catch (error) {
         console.error('Error fetching character:', error);
         res.status(500).json({ error: 'Internal server error', message: error.message, code: 500 });
@@ -664,7 +857,26 @@ app.get('/api/characters/:id', security.validateId, (req, res) => {
  *     tags: [Creatures]
  *     parameters:
  *       - $ref: '#/components/parameters/pageParam'
+ *       - $ref: '#/components/parameters/cursorParam'
+ *       - $ref: '#/components/parameters/idsParam'
  *       - $ref: '#/components/parameters/limitParam'
+ *       - $ref: '#/components/parameters/fieldsParam'
+ *       - name: expand
+ *         in: query
+ *         description: Embed related records. `related_species` replaces the species names with Creature objects (max depth 2).
+ *         schema:
+ *           type: string
+ *           example: related_species
+ *       - name: sort
+ *         in: query
+ *         description: |
+ *           Comma-separated sort fields; prefix a field with `-` for descending order.
+ *           Numbers and dates compare by value, strings case-insensitively; nulls sort last.
+ *           `threat_level` sorts by severity (Low < Medium < High < Extreme).
+ *           Sortable fields: id, name, origin, classification, description, threat_level, status, image_path, life_cycle.
+ *         schema:
+ *           type: string
+ *           example: '-threat_level,name'
  *       - name: name
  *         in: query
  *         description: Filter by creature name
@@ -679,16 +891,22 @@ app.get('/api/characters/:id', security.validateId, (req, res) => {
  *     responses:
  *       200:
  *         description: Paginated list of creatures
+ *         headers:
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/X-Total-Count'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
  *       429:
  *         $ref: '#/components/responses/TooManyRequests'
  */
-app.get('/api/creatures', security.validatePagination, (req, res) => {
+app.get('/api/creatures', negotiateFormat('creatures'), security.validatePagination, security.validateCursor, security.validateSort('creatures'), security.validateFilters('creatures'), security.validateFields('creatures'), security.validateExpand('creatures'), handleBatch('creatures'), (req, res) => {
     try {
-        const page = parseInt(req.query.page) || 1;
-        const limit = Math.min(parseInt(req.query.limit) || 20, 50);
-
-        let filteredCreatures = filterByField(creatures, req.query);
-        const result = paginate(filteredCreatures, page, limit);
+        let filteredCreatures = filterByField(store.all('creatures', req.locale), req.query, 'creatures');
+        filteredCreatures = sortRecords(filteredCreatures, parseSort(req.query.sort), 'creatures');
+        const result = paginateRequest(req, res, filteredCreatures, 'creatures');
+        result.results = serializeMany('creatures', result.results, getSerializeOptions(req.query, req.apiVersion, req.locale));
 
         res.json(result);
     } catch (error) {
@@ -704,6 +922,14 @@ app.get('/api/creatures', security.validatePagination, (req, res) => {
  *     summary: Get a random creature
  *     description: Retrieve a random creature from the database
  *     tags: [Creatures]
+ *     parameters:
+ *       - $ref: '#/components/parameters/fieldsParam'
+ *       - name: expand
+ *         in: query
+ *         description: Embed related records. `related_species` replaces the species names with Creature objects (max depth 2).
+ *         schema:
+ *           type: string
+ *           example: related_species
  *     responses:
  *       200:
  *         description: A random creature
@@ -712,10 +938,11 @@ app.get('/api/creatures', security.validatePagination, (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Creature'
  */
-app.get('/api/creatures/random', security.randomEndpointLimiter, (req, res) => {
+app.get('/api/creatures/random', cache.cachePolicy('noStore'), security.randomEndpointLimiter, security.validateFields('creatures'), security.validateExpand('creatures'), (req, res) => {
     try {
+        const creatures = store.all('creatures');
         const randomIndex = Math.floor(Math.random() * creatures.length);
-        res.json(creatures[randomIndex]);
+        res.json(serialize('creatures', creatures[randomIndex], getSerializeOptions(req.query, req.apiVersion, req.locale)));
     } catch (error) {
         console.error('Error fetching random creature:', error);
         res.status(500).json({ error: 'Internal server error', message: error.message, code: 500 });
@@ -727,10 +954,17 @@ app.get('/api/creatures/random', security.randomEndpointLimiter, (req, res) => {
  * /api/creatures/{id}:
  *   get:
  *     summary: Get creature by ID
- *     description: Retrieve a specific creature by their unique ID
+ *     description: Retrieve a specific creature by their unique ID. Comma-separated IDs or slugs (`/1,2,6`, max 50) return a batch like `?ids=` on the list endpoint.
  *     tags: [Creatures]
  *     parameters:
  *       - $ref: '#/components/parameters/idParam'
+ *       - $ref: '#/components/parameters/fieldsParam'
+ *       - name: expand
+ *         in: query
+ *         description: Embed related records. `related_species` replaces the species names with Creature objects (max depth 2).
+ *         schema:
+ *           type: string
+ *           example: related_species
  *     responses:
  *       200:
  *         description: Creature details
@@ -741,10 +975,10 @@ app.get('/api/creatures/random', security.randomEndpointLimiter, (req, res) => {
  *       404:
  *         $ref: '#/components/responses/NotFound'
  */
-app.get('/api/creatures/:id', security.validateId, (req, res) => {
+app.get('/api/creatures/:id', negotiateFormat('creatures'), security.validateFields('creatures'), security.validateExpand('creatures'), handleBatch('creatures'), security.validateId('creatures'), (req, res) => {
     try {
         const id = parseInt(req.params.id);
-        const creature = creatures.find(c => c.id === id);
+        const creature = store.findById('creatures', id);
 
         if (!creature) {
             return res.status(404).json({
@@ -754,13 +988,74 @@ app.get('/api/creatures/:id', security.validateId, (req, res) => {
             });
         }
 
-        res.json(creature);
+        res.json(serialize('creatures', creature, getSerializeOptions(req.query, req.apiVersion, req.locale)));
     } catch (error) {
         console.error('Error fetching creature:', error);
         res.status(500).json({ error: 'Internal server error', message: error.message, code: 500 });
     }
 });
 
+/**
+ * @swagger
+ * /api/creatures/{id}/episodes:
+ *   get:
+ *     summary: Get episodes by creature
+ *     description: Retrieve every episode a specific creature appears in
+ *     tags: [Creatures, Episodes]
+ *     parameters:
+ *       - $ref: '#/components/parameters/idParam'
+ *     responses:
+ *       200:
+ *         description: Creature's episodes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 creature:
+ *                   type: string
+ *                 creature_id:
+ *                   type: integer
+ *                 episode_count:
+ *                   type: integer
+ *                 approximate:
+ *                   type: boolean
+ *                   description: True when the creature has no `episode_ids` and its episodes are estimated from its seasons and first appearance
+ *                 episodes:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Episode'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+app.get('/api/creatures/:id/episodes', security.validateId('creatures'), (req, res) => {
+    try {
+        const creatureId = parseInt(req.params.id);
+        const creature = store.findById('creatures', creatureId);
+
+        if (!creature) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Creature not found',
+                code: 404
+            });
+        }
+
+        const creatureEpisodes = appearances.episodesFor('creatures', creatureId);
+
+        res.json({
+            creature: creature.name,
+            creature_id: creatureId,
+            episode_count: creatureEpisodes.length,
+            approximate: appearances.isApproximate('creatures', creatureId),
+            episodes: serializeMany('episodes', creatureEpisodes, { version: req.apiVersion, locale: req.locale })
+        });
+    } catch (error) {
+        console.error('Error fetching creature episodes:', error);
+        res.status(500).json({ error: 'Internal server error', message: error.message, code: 500 });
+    }
+});
+
 // ==================== EPISODES ====================
 
 /**
@@ -772,7 +1067,19 @@ app.get('/api/creatures/:id', security.validateId, (req, res) => {
  *     tags: [Episodes]
  *     parameters:
  *       - $ref: '#/components/parameters/pageParam'
+ *       - $ref: '#/components/parameters/cursorParam'
+ *       - $ref: '#/components/parameters/idsParam'
  *       - $ref: '#/components/parameters/limitParam'
+ *       - $ref: '#/components/parameters/fieldsParam'
+ *       - name: sort
+ *         in: query
+ *         description: |
+ *           Comma-separated sort fields; prefix a field with `-` for descending order.
+ *           Numbers and dates compare by value, strings case-insensitively; nulls sort last.
+ *           Sortable fields: id, title, season, episode, air_date, synopsis, directed_by, written_by, duration_minutes, image_path.
+ *         schema:
+ *           type: string
+ *           example: '-air_date'
  *       - name: season
  *         in: query
  *         description: Filter by season number
@@ -787,14 +1094,20 @@ app.get('/api/creatures/:id', security.validateId, (req, res) => {
  *     responses:
  *       200:
  *         description: Paginated list of episodes
+ *         headers:
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/X-Total-Count'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
  */
-app.get('/api/episodes', security.validatePagination, (req, res) => {
+app.get('/api/episodes', negotiateFormat('episodes'), security.validatePagination, security.validateCursor, security.validateSort('episodes'), security.validateFilters('episodes'), security.validateFields('episodes'), security.validateExpand('episodes'), handleBatch('episodes'), (req, res) => {
     try {
-        const page = parseInt(req.query.page) || 1;
-        const limit = Math.min(parseInt(req.query.limit) || 20, 50);
-
-        let filteredEpisodes = filterByField(episodes, req.query);
-        const result = paginate(filteredEpisodes, page, limit);
+        let filteredEpisodes = filterByField(store.all('episodes', req.locale), req.query, 'episodes');
+        filteredEpisodes = sortRecords(filteredEpisodes, parseSort(req.query.sort), 'episodes');
+        const result = paginateRequest(req, res, filteredEpisodes, 'episodes');
+        result.results = serializeMany('episodes', result.results, getSerializeOptions(req.query, req.apiVersion, req.locale));
 
         res.json(result);
     } catch (error) {
@@ -810,14 +1123,17 @@ app.get('/api/episodes', security.validatePagination, (req, res) => {
  *     summary: Get a random episode
  *     description: Retrieve a random episode from the database
  *     tags: [Episodes]
+ *     parameters:
+ *       - $ref: '#/components/parameters/fieldsParam'
  *     responses:
  *       200:
  *         description: A random episode
  */
-app.get('/api/episodes/random', security.randomEndpointLimiter, (req, res) => {
+app.get('/api/episodes/random', cache.cachePolicy('noStore'), security.randomEndpointLimiter, security.validateFields('episodes'), security.validateExpand('episodes'), (req, res) => {
     try {
+        const episodes = store.all('episodes');
         const randomIndex = Math.floor(Math.random() * episodes.length);
-        res.json(episodes[randomIndex]);
+        res.json(serialize('episodes', episodes[randomIndex], getSerializeOptions(req.query, req.apiVersion, req.locale)));
     } catch (error) {
         console.error('Error fetching random episode:', error);
         res.status(500).json({ error: 'Internal server error', message: error.message, code: 500 });
@@ -829,10 +1145,11 @@ app.get('/api/episodes/random', security.randomEndpointLimiter, (req, res) => {
  * /api/episodes/{id}:
  *   get:
  *     summary: Get episode by ID
- *     description: Retrieve a specific episode by its unique ID
+ *     description: Retrieve a specific episode by its unique ID. Comma-separated IDs or slugs (`/1,2,6`, max 50) return a batch like `?ids=` on the list endpoint.
  *     tags: [Episodes]
  *     parameters:
  *       - $ref: '#/components/parameters/idParam'
+ *       - $ref: '#/components/parameters/fieldsParam'
  *     responses:
  *       200:
  *         description: Episode details
@@ -843,10 +1160,10 @@ app.get('/api/episodes/random', security.randomEndpointLimiter, (req, res) => {
  *       404:
  *         $ref: '#/components/responses/NotFound'
  */
-app.get('/api/episodes/:id', security.validateId, (req, res) => {
+app.get('/api/episodes/:id', negotiateFormat('episodes'), security.validateFields('episodes'), security.validateExpand('episodes'), handleBatch('episodes'), security.validateId('episodes'), (req, res) => {
     try {
         const id = parseInt(req.params.id);
-        const episode = episodes.find(e => e.id === id);
+        const episode = store.findById('episodes', id);
 
         if (!episode) {
             return res.status(404).json({
@@ -856,13 +1173,135 @@ app.get('/api/episodes/:id', security.validateId, (req, res) => {
             });
         }
 
-        res.json(episode);
+        res.json(serialize('episodes', episode, getSerializeOptions(req.query, req.apiVersion, req.locale)));
     } catch (error) {
         console.error('Error fetching episode:', error);
         res.status(500).json({ error: 'Internal server error', message: error.message, code: 500 });
     }
 });
 
+/**
+ * @swagger
+ * /api/episodes/{id}/characters:
+ *   get:
+ *     summary: Get characters by episode
+ *     description: Retrieve every character appearing in a specific episode
+ *     tags: [Episodes, Characters]
+ *     parameters:
+ *       - $ref: '#/components/parameters/idParam'
+ *     responses:
+ *       200:
+ *         description: Characters appearing in the episode
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 episode:
+ *                   type: string
+ *                 episode_id:
+ *                   type: integer
+ *                 character_count:
+ *                   type: integer
+ *                 approximate:
+ *                   type: boolean
+ *                   description: True when some characters have no `episode_ids`, so the list is estimated from their seasons and first appearances
+ *                 characters:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Character'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+app.get('/api/episodes/:id/characters', security.validateId('episodes'), (req, res) => {
+    try {
+        const episodeId = parseInt(req.params.id);
+        const episode = store.findById('episodes', episodeId);
+
+        if (!episode) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Episode not found',
+                code: 404
+            });
+        }
+
+        const episodeCharacters = appearances.appearingIn(episodeId, 'characters');
+
+        res.json({
+            episode: episode.title,
+            episode_id: episodeId,
+            character_count: episodeCharacters.length,
+            approximate: appearances.isApproximateIn('characters'),
+            characters: serializeMany('characters', episodeCharacters, { version: req.apiVersion, locale: req.locale })
+        });
+    } catch (error) {
+        console.error('Error fetching episode characters:', error);
+        res.status(500).json({ error: 'Internal server error', message: error.message, code: 500 });
+    }
+});
+
+/**
+ * @swagger
+ * /api/episodes/{id}/locations:
+ *   get:
+ *     summary: Get locations by episode
+ *     description: Retrieve every location appearing in a specific episode
+ *     tags: [Episodes, Locations]
+ *     parameters:
+ *       - $ref: '#/components/parameters/idParam'
+ *     responses:
+ *       200:
+ *         description: Locations appearing in the episode
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 episode:
+ *                   type: string
+ *                 episode_id:
+ *                   type: integer
+ *                 location_count:
+ *                   type: integer
+ *                 approximate:
+ *                   type: boolean
+ *                   description: True when some locations have no `episode_ids`, so the list is estimated from their seasons and first appearances
+ *                 locations:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Location'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+app.get('/api/episodes/:id/locations', security.validateId('episodes'), (req, res) => {
+    try {
+        const episodeId = parseInt(req.params.id);
+        const episode = store.findById('episodes', episodeId);
+
+        if (!episode) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Episode not found',
+                code: 404
+            });
+        }
+
+        const episodeLocations = appearances.appearingIn(episodeId, 'locations');
+
+        res.json({
+            episode: episode.title,
+            episode_id: episodeId,
+            location_count: episodeLocations.length,
+            approximate: appearances.isApproximateIn('locations'),
+            locations: serializeMany('locations', episodeLocations, { version: req.apiVersion, locale: req.locale })
+        });
+    } catch (error) {
+        console.error('Error fetching episode locations:', error);
+        res.status(500).json({ error: 'Internal server error', message: error.message, code: 500 });
+    }
+});
+
 /**
  * @swagger
  * /api/seasons/{season}/episodes:
@@ -897,7 +1336,7 @@ app.get('/api/seasons/:season/episodes', (req, res) => {
             });
         }
 
-        const seasonEpisodes = episodes.filter(e => e.season === season);
+        const seasonEpisodes = store.all('episodes').filter(e => e.season === season);
 
         if (seasonEpisodes.length === 0) {
             return res.status(404).json({
@@ -910,7 +1349,7 @@ app.get('/api/seasons/:season/episodes', (req, res) => {
         res.json({
             season: season,
             episode_count: seasonEpisodes.length,
-            episodes: seasonEpisodes
+            episodes: serializeMany('episodes', seasonEpisodes, { version: req.apiVersion, locale: req.locale })
         });
     } catch (error) {
         console.error('Error fetching season episodes:', error);
@@ -929,7 +1368,19 @@ app.get('/api/seasons/:season/episodes', (req, res) => {
  *     tags: [Locations]
  *     parameters:
  *       - $ref: '#/components/parameters/pageParam'
+ *       - $ref: '#/components/parameters/cursorParam'
+ *       - $ref: '#/components/parameters/idsParam'
  *       - $ref: '#/components/parameters/limitParam'
+ *       - $ref: '#/components/parameters/fieldsParam'
+ *       - name: sort
+ *         in: query
+ *         description: |
+ *           Comma-separated sort fields; prefix a field with `-` for descending order.
+ *           Numbers and dates compare by value, strings case-insensitively; nulls sort last.
+ *           Sortable fields: id, name, type, description, significance, status, image_path.
+ *         schema:
+ *           type: string
+ *           example: 'name'
  *       - name: name
  *         in: query
  *         description: Filter by location name
@@ -943,14 +1394,20 @@ app.get('/api/seasons/:season/episodes', (req, res) => {
  *     responses:
  *       200:
  *         description: Paginated list of locations
+ *         headers:
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/X-Total-Count'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
  */
-app.get('/api/locations', security.validatePagination, (req, res) => {
+app.get('/api/locations', negotiateFormat('locations'), security.validatePagination, security.validateCursor, security.validateSort('locations'), security.validateFilters('locations'), security.validateFields('locations'), security.validateExpand('locations'), handleBatch('locations'), (req, res) => {
     try {
-        const page = parseInt(req.query.page) || 1;
-        const limit = Math.min(parseInt(req.query.limit) || 20, 50);
-
-        let filteredLocations = filterByField(locations, req.query);
-        const result = paginate(filteredLocations, page, limit);
+        let filteredLocations = filterByField(store.all('locations', req.locale), req.query, 'locations');
+        filteredLocations = sortRecords(filteredLocations, parseSort(req.query.sort), 'locations');
+        const result = paginateRequest(req, res, filteredLocations, 'locations');
+        result.results = serializeMany('locations', result.results, getSerializeOptions(req.query, req.apiVersion, req.locale));
 
         res.json(result);
     } catch (error) {
@@ -966,14 +1423,17 @@ app.get('/api/locations', security.validatePagination, (req, res) => {
  *     summary: Get a random location
  *     description: Retrieve a random location from the database
  *     tags: [Locations]
+ *     parameters:
+ *       - $ref: '#/components/parameters/fieldsParam'
  *     responses:
  *       200:
  *         description: A random location
  */
-app.get('/api/locations/random', security.randomEndpointLimiter, (req, res) => {
+app.get('/api/locations/random', cache.cachePolicy('noStore'), security.randomEndpointLimiter, security.validateFields('locations'), security.validateExpand('locations'), (req, res) => {
     try {
+        const locations = store.all('locations');
         const randomIndex = Math.floor(Math.random() * locations.length);
-        res.json(locations[randomIndex]);
+        res.json(serialize('locations', locations[randomIndex], getSerializeOptions(req.query, req.apiVersion, req.locale)));
     } catch (error) {
         console.error('Error fetching random location:', error);
         res.status(500).json({ error: 'Internal server error', message: error.message, code: 500 });
@@ -985,10 +1445,11 @@ app.get('/api/locations/random', security.randomEndpointLimiter, (req, res) => {
  * /api/locations/{id}:
  *   get:
  *     summary: Get location by ID
- *     description: Retrieve a specific location by its unique ID
+ *     description: Retrieve a specific location by its unique ID. Comma-separated IDs or slugs (`/1,2,6`, max 50) return a batch like `?ids=` on the list endpoint.
  *     tags: [Locations]
  *     parameters:
  *       - $ref: '#/components/parameters/idParam'
+ *       - $ref: '#/components/parameters/fieldsParam'
  *     responses:
  *       200:
  *         description: Location details
@@ -999,10 +1460,10 @@ app.get('/api/locations/random', security.randomEndpointLimiter, (req, res) => {
  *       404:
  *         $ref: '#/components/responses/NotFound'
  */
-app.get('/api/locations/:id', security.validateId, (req, res) => {
+app.get('/api/locations/:id', negotiateFormat('locations'), security.validateFields('locations'), security.validateExpand('locations'), handleBatch('locations'), security.validateId('locations'), (req, res) => {
     try {
         const id = parseInt(req.params.id);
-        const location = locations.find(l => l.id === id);
+        const location = store.findById('locations', id);
 
         if (!location) {
             return res.status(404).json({
@@ -1012,7 +1473,7 @@ app.get('/api/locations/:id', security.validateId, (req, res) => {
             });
         }
 
-        res.json(location);
+        res.json(serialize('locations', location, getSerializeOptions(req.query, req.apiVersion, req.locale)));
     } catch (error) {
         console.error('Error fetching location:', error);
         res.status(500).json({ error: 'Internal server error', message: error.message, code: 500 });
@@ -1030,7 +1491,25 @@ app.get('/api/locations/:id', security.validateId, (req, res) => {
  *     tags: [Quotes]
  *     parameters:
  *       - $ref: '#/components/parameters/pageParam'
+ *       - $ref: '#/components/parameters/cursorParam'
+ *       - $ref: '#/components/parameters/idsParam'
  *       - $ref: '#/components/parameters/limitParam'
+ *       - $ref: '#/components/parameters/fieldsParam'
+ *       - name: expand
+ *         in: query
+ *         description: Embed related records. `character` replaces the character name with the Character object; nested paths such as `character.quotes` are allowed (max depth 2).
+ *         schema:
+ *           type: string
+ *           example: character
+ *       - name: sort
+ *         in: query
+ *         description: |
+ *           Comma-separated sort fields; prefix a field with `-` for descending order.
+ *           Numbers and dates compare by value, strings case-insensitively; nulls sort last.
+ *           Sortable fields: id, quote, character, character_id, season, episode, context.
+ *         schema:
+ *           type: string
+ *           example: 'character,-season'
  *       - name: character
  *         in: query
  *         description: Filter by character name
@@ -1044,14 +1523,20 @@ app.get('/api/locations/:id', security.validateId, (req, res) => {
  *     responses:
  *       200:
  *         description: Paginated list of quotes
+ *         headers:
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/X-Total-Count'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
  */
-app.get('/api/quotes', security.validatePagination, (req, res) => {
+app.get('/api/quotes', negotiateFormat('quotes'), security.validatePagination, security.validateCursor, security.validateSort('quotes'), security.validateFilters('quotes'), security.validateFields('quotes'), security.validateExpand('quotes'), handleBatch('quotes'), (req, res) => {
     try {
-        const page = parseInt(req.query.page) || 1;
-        const limit = Math.min(parseInt(req.query.limit) || 20, 50);
-
-        let filteredQuotes = filterByField(quotes, req.query);
-        const result = paginate(filteredQuotes, page, limit);
+        let filteredQuotes = filterByField(store.all('quotes', req.locale), req.query, 'quotes');
+        filteredQuotes = sortRecords(filteredQuotes, parseSort(req.query.sort), 'quotes');
+        const result = paginateRequest(req, res, filteredQuotes, 'quotes');
+        result.results = serializeMany('quotes', result.results, getSerializeOptions(req.query, req.apiVersion, req.locale));
 
         res.json(result);
     } catch (error) {
@@ -1067,6 +1552,14 @@ app.get('/api/quotes', security.validatePagination, (req, res) => {
  *     summary: Get a random quote
  *     description: Retrieve a random quote from the database
  *     tags: [Quotes]
+ *     parameters:
+ *       - $ref: '#/components/parameters/fieldsParam'
+ *       - name: expand
+ *         in: query
+ *         description: Embed related records. `character` replaces the character name with the Character object; nested paths such as `character.quotes` are allowed (max depth 2).
+ *         schema:
+ *           type: string
+ *           example: character
  *     responses:
  *       200:
  *         description: A random quote
@@ -1075,10 +1568,11 @@ app.get('/api/quotes', security.validatePagination, (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Quote'
  */
-app.get('/api/quotes/random', security.randomEndpointLimiter, (req, res) => {
+app.get('/api/quotes/random', cache.cachePolicy('noStore'), security.randomEndpointLimiter, security.validateFields('quotes'), security.validateExpand('quotes'), (req, res) => {
     try {
+        const quotes = store.all('quotes');
         const randomIndex = Math.floor(Math.random() * quotes.length);
-        res.json(quotes[randomIndex]);
+        res.json(serialize('quotes', quotes[randomIndex], getSerializeOptions(req.query, req.apiVersion, req.locale)));
     } catch (error) {
         console.error('Error fetching random quote:', error);
         res.status(500).json({ error: 'Internal server error', message: error.message, code: 500 });
@@ -1090,10 +1584,17 @@ app.get('/api/quotes/random', security.randomEndpointLimiter, (req, res) => {
  * /api/quotes/{id}:
  *   get:
  *     summary: Get quote by ID
- *     description: Retrieve a specific quote by its unique ID
+ *     description: Retrieve a specific quote by its unique ID. Comma-separated IDs or slugs (`/1,2,6`, max 50) return a batch like `?ids=` on the list endpoint.
  *     tags: [Quotes]
  *     parameters:
  *       - $ref: '#/components/parameters/idParam'
+ *       - $ref: '#/components/parameters/fieldsParam'
+ *       - name: expand
+ *         in: query
+ *         description: Embed related records. `character` replaces the character name with the Character object; nested paths such as `character.quotes` are allowed (max depth 2).
+ *         schema:
+ *           type: string
+ *           example: character
  *     responses:
  *       200:
  *         description: Quote details
@@ -1104,10 +1605,10 @@ app.get('/api/quotes/random', security.randomEndpointLimiter, (req, res) => {
  *       404:
  *         $ref: '#/components/responses/NotFound'
  */
-app.get('/api/quotes/:id', security.validateId, (req, res) => {
+app.get('/api/quotes/:id', negotiateFormat('quotes'), security.validateFields('quotes'), security.validateExpand('quotes'), handleBatch('quotes'), security.validateId('quotes'), (req, res) => {
     try {
         const id = parseInt(req.params.id);
-        const quote = quotes.find(q => q.id === id);
+        const quote = store.findById('quotes', id);
 
         if (!quote) {
             return res.status(404).json({
@@ -1117,7 +1618,7 @@ app.get('/api/quotes/:id', security.validateId, (req, res) => {
             });
         }
 
-        res.json(quote);
+        res.json(serialize('quotes', quote, getSerializeOptions(req.query, req.apiVersion, req.locale)));
     } catch (error) {
         console.error('Error fetching quote:', error);
         res.status(500).json({ error: 'Internal server error', message: error.message, code: 500 });
@@ -1139,10 +1640,10 @@ app.get('/api/quotes/:id', security.validateId, (req, res) => {
  *       404:
  *         $ref: '#/components/responses/NotFound'
  */
-app.get('/api/characters/:id/quotes', security.validateId, (req, res) => {
+app.get('/api/characters/:id/quotes', security.validateId('characters'), (req, res) => {
     try {
         const characterId = parseInt(req.params.id);
-        const character = characters.find(c => c.id === characterId);
+        const character = store.findById('characters', characterId);
 
         if (!character) {
             return res.status(404).json({
@@ -1152,13 +1653,13 @@ app.get('/api/characters/:id/quotes', security.validateId, (req, res) => {
             });
         }
 
-        const characterQuotes = quotes.filter(q => q.character_id === characterId);
+        const characterQuotes = store.all('quotes').filter(q => q.character_id === characterId);
 
         res.json({
             character: character.name,
             character_id: characterId,
             quote_count: characterQuotes.length,
-            quotes: characterQuotes
+            quotes: serializeMany('quotes', characterQuotes, { version: req.apiVersion, locale: req.locale })
         });
     } catch (error) {
         console.error('Error fetching character quotes:', error);
@@ -1166,6 +1667,67 @@ app.get('/api/characters/:id/quotes', security.validateId, (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/characters/{id}/episodes:
+ *   get:
+ *     summary: Get episodes by character
+ *     description: Retrieve every episode a specific character appears in
+ *     tags: [Characters, Episodes]
+ *     parameters:
+ *       - $ref: '#/components/parameters/idParam'
+ *     responses:
+ *       200:
+ *         description: Character's episodes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 character:
+ *                   type: string
+ *                 character_id:
+ *                   type: integer
+ *                 episode_count:
+ *                   type: integer
+ *                 approximate:
+ *                   type: boolean
+ *                   description: True when the character has no `episode_ids` and its episodes are estimated from its seasons and first appearance
+ *                 episodes:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Episode'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+app.get('/api/characters/:id/episodes', security.validateId('characters'), (req, res) => {
+    try {
+        const characterId = parseInt(req.params.id);
+        const character = store.findById('characters', characterId);
+
+        if (!character) {
+            return res.status(404).json({
+                error: 'Not Found',
+                message: 'Character not found',
+                code: 404
+            });
+        }
+
+        const characterEpisodes = appearances.episodesFor('characters', characterId);
+
+        res.json({
+            character: character.name,
+            character_id: characterId,
+            episode_count: characterEpisodes.length,
+            approximate: appearances.isApproximate('characters', characterId),
+            episodes: serializeMany('episodes', characterEpisodes, { version: req.apiVersion, locale: req.locale })
+        });
+    } catch (error) {
+        console.error('Error fetching character episodes:', error);
+        res.status(500).json({ error: 'Internal server error', message: error.message, code: 500 });
+    }
+});
+
 // ==================== STATS ====================
 
 /**
@@ -1184,6 +1746,8 @@ app.get('/api/characters/:id/quotes', security.validateId, (req, res) => {
  *               $ref: '#/components/schemas/Stats'
  */
 app.get('/api/stats', (req, res) => {
+    const { characters, creatures, episodes, locations, quotes } = store.current().collections;
+
     res.json({
         total_characters: characters.length,
         total_creatures: creatures.length,
@@ -1209,6 +1773,218 @@ app.get('/api/stats', (req, res) => {
     });
 });
 
+// ==================== CHANGES ====================
+
+/**
+ * @swagger
+ * /api/changes:
+ *   get:
+ *     summary: Feed of dataset changes
+ *     description: |
+ *       Created, updated and deleted records, oldest first, with a field-level diff
+ *       (`{ field: { from, to } }`; translations appear as `translations.<locale>.<field>`).
+ *       Changes are logged whenever the dataset is reloaded, and at startup for edits made while
+ *       the server was down. To sync, download the dataset once (`/api/export`), then keep calling
+ *       this endpoint with `since` set to the previous response's `info.next_since`.
+ *     tags: [Utility]
+ *     parameters:
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           type: string
+ *           default: '0'
+ *         description: Return changes after this sequence number, or logged after this ISO 8601 timestamp
+ *         example: '42'
+ *       - in: query
+ *         name: collection
+ *         schema:
+ *           type: string
+ *           enum: [characters, creatures, episodes, locations, quotes]
+ *         description: Only changes of one collection
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 20
+ *         description: Changes per response
+ *     responses:
+ *       200:
+ *         description: Changes after `since`
+ *         headers:
+ *           Link:
+ *             description: URL of the next batch (rel="next") while there are more
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 info:
+ *                   type: object
+ *                   properties:
+ *                     count:
+ *                       type: integer
+ *                       description: Changes after `since`, this batch included
+ *                     per_page:
+ *                       type: integer
+ *                     latest_sequence:
+ *                       type: integer
+ *                     next_since:
+ *                       type: integer
+ *                       description: Value of `since` for the next request
+ *                     has_more:
+ *                       type: boolean
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Change'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ */
+app.get('/api/changes', cache.cachePolicy('live'), security.validatePagination, (req, res) => {
+    try {
+        const since = req.query.since === undefined ? '0' : String(req.query.since);
+        const { collection } = req.query;
+        const isSequence = /^\d+$/.test(since);
+
+        if (!isSequence && !(/^\d{4}-\d{2}-\d{2}/.test(since) && !isNaN(Date.parse(since)))) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: 'Invalid since parameter. Must be a sequence number or an ISO 8601 timestamp.',
+                code: 400
+            });
+        }
+
+        if (collection !== undefined && !RESOURCES[collection]) {
+            return res.status(400).json({
+                error: 'Bad Request',
+                message: `Invalid collection parameter. Must be one of: ${Object.keys(RESOURCES).join(', ')}.`,
+                code: 400
+            });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+        const changes = changeLog.since(isSequence ? { sequence: parseInt(since), collection } : { timestamp: since, collection });
+        const results = changes.slice(0, limit);
+        const hasMore = changes.length > limit;
+        const nextSince = results.length > 0
+            ? results[results.length - 1].sequence
+            : (isSequence ? parseInt(since) : changeLog.latestSequence());
+        const next = hasMore ? buildPageUrl(req, { since: nextSince }) : null;
+
+        if (next) res.append('Link', formatLinkHeader({ next }));
+
+        res.json({
+            info: {
+                count: changes.length,
+                per_page: limit,
+                latest_sequence: changeLog.latestSequence(),
+                next_since: nextSince,
+                has_more: hasMore,
+                links: { next }
+            },
+            results
+        });
+    } catch (error) {
+        console.error('Error fetching changes:', error);
+        res.status(500).json({ error: 'Internal server error', message: error.message, code: 500 });
+    }
+});
+
+// ==================== EXPORT ====================
+
+/**
+ * @swagger
+ * /api/export:
+ *   get:
+ *     summary: Download the whole dataset
+ *     description: |
+ *       A .tar.gz or .zip archive with every collection as `data/<collection>.json` and a
+ *       `manifest.json` holding record counts, the dataset version, the generation time and a
+ *       SHA-256 checksum per file. Archives are built once per dataset version; the ETag changes
+ *       only when the data does.
+ *     tags: [Utility]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [tar.gz, zip]
+ *           default: tar.gz
+ *         description: Archive format
+ *       - in: query
+ *         name: images
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also include the images referenced by the dataset (from public/images)
+ *     responses:
+ *       200:
+ *         description: The archive
+ *         content:
+ *           application/gzip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       304:
+ *         description: Not modified since the ETag in If-None-Match
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ */
+app.get('/api/export', async (req, res, next) => {
+    const format = req.query.format || 'tar.gz';
+    const images = req.query.images === undefined ? 'false' : String(req.query.images).toLowerCase();
+
+    if (!ARCHIVE_FORMATS[format]) {
+        return res.status(400).json({
+            error: 'Bad Request',
+            message: `Invalid format parameter. Must be one of: ${Object.keys(ARCHIVE_FORMATS).join(', ')}.`,
+            code: 400
+        });
+    }
+
+    if (!['true', 'false'].includes(images)) {
+        return res.status(400).json({
+            error: 'Bad Request',
+            message: 'Invalid images parameter. Must be true or false.',
+            code: 400
+        });
+    }
+
+    const includeImages = images === 'true';
+    const { version } = store.current();
+
+    // Answer revalidations before building anything
+    res.set('ETag', `"${version}-export-${format}${includeImages ? '-images' : ''}"`);
+    if (req.fresh) return res.status(304).end();
+
+    try {
+        const file = await getExportArchive(format, includeImages);
+
+        res.type(ARCHIVE_FORMATS[format].contentType);
+        res.attachment(path.basename(file));
+        // The default cache directory is .cache/, which send refuses as a dotfile
+        res.sendFile(file, { cacheControl: false, lastModified: false, etag: false, dotfiles: 'allow' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ==================== GRAPHQL ====================
+
+app.use('/api/graphql', graphqlRoutes);
+
+// ==================== ADMIN ====================
+
+app.use('/api/admin', adminRoutes);
+
 // ==================== ERROR HANDLING ====================
 
 // 404 handler
@@ -1236,8 +2012,59 @@ app.use((err, req, res, next) => {
 
 // ==================== SERVER START ====================
 
-app.listen(PORT, () => {
-    console.log(`
+// Load the dataset up front and refuse to start on invalid data, then pick up edits live
+try {
+    store.load();
+} catch (error) {
+    console.error(`[Data Store] Not starting: ${error.message}`);
+    process.exit(1);
+}
+store.watch();
+
+// Resume pending webhook deliveries before new changes are dispatched
+try {
+    webhooks.load();
+} catch (error) {
+    console.error(`[Webhooks] Not starting: ${error.message}`);
+    process.exit(1);
+}
+
+// Log what changed while the server was down, then every reload, and notify subscribers
+try {
+    webhooks.dispatch(changeLog.load(store.current()));
+} catch (error) {
+    console.error(`[Change Log] Not starting: ${error.message}`);
+    process.exit(1);
+}
+store.on('reload', (snapshot) => {
+    try {
+        webhooks.dispatch(changeLog.record(snapshot));
+    } catch (error) {
+        console.error('Error recording dataset changes:', error);
+    }
+});
+
+// Refuse to start on an unreadable key registry rather than letting every key fail
+try {
+    apiKeys.load();
+} catch (error) {
+    console.error(`[API Keys] Not starting: ${error.message}`);
+    process.exit(1);
+}
+
+// Build the search indexes and suggestion trie at startup and again after every reload
+const buildSearchStructures = () => {
+    store.locales().forEach(locale => search.getSearchIndex(locale));
+    getSuggestTrie();
+};
+buildSearchStructures();
+store.on('reload', buildSearchStructures);
+
+// Read image dimensions, colours and blurhashes before taking requests
+loadImageMetadata()
+    .catch(error => console.error('Error reading image metadata:', error))
+    .then(() => app.listen(PORT, () => {
+        console.log(`
   ╔═══════════════════════════════════════════════════════════╗
   ║                                                           ║
   ║   ███████╗████████╗██████╗  █████╗ ███╗   ██╗ ██████╗    ║
@@ -1258,7 +2085,7 @@ app.listen(PORT, () => {
   ║   🛡️  Security: Rate limiting enabled                      ║
   ║   📊 Version: ${API_VERSION}                                      ║
   ╚═══════════════════════════════════════════════════════════╝
-  `);
-});
+        `);
+    }));
 
 module.exports = app;